@@ -0,0 +1,309 @@
+// Arrow Guide - Arrow-only navigation baseline sharing the VRMAvatar guide interface
+// (init, setTarget / followRoute, dispose); renders on its own or inside the avatar's scene
+
+import * as THREE from 'three';
+import { RouteFollower, normalizeWaypoints, createNavigationFloor, createRouteLine } from './vrm-navigation.js';
+import { createLogger } from './vrm-logger.js';
+
+const AIM_TOLERANCE = 0.02;        // Radians off the target heading that count as aimed
+
+// Dispatches waypointReached / routeComplete on itself, like VRMAvatar
+export class ArrowGuide extends EventTarget {
+    constructor({ logLevel = 'silent', logger = console } = {}) {
+        super();
+
+        this.logger = createLogger({ level: logLevel, prefix: 'ArrowGuide', sink: logger });
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.container = null;
+        this.clock = new THREE.Clock();
+        this.ownsRenderer = false;
+        this.animationFrameId = null;
+
+        // Arrow appearance
+        this.arrow = null;
+        this.color = 0x2f80ed;
+        this.height = 1.2;                // Meters above the floor
+        this.bobAmplitude = 0.05;
+        this.bobSpeed = 2.5;
+
+        // Guidance state
+        this.heading = 0;                 // Yaw, 0 points along +Z
+        this.target = null;
+        this.aim = null;                  // { resolve } until the arrow faces the target (see setTarget)
+        this.turnSpeed = 4.0;             // Damping rate when aiming at a target (per second)
+        this.route = null;
+        this.routeLine = null;
+
+        // Follow camera (own renderer only)
+        this.followCameraOffset = new THREE.Vector3(0, 1.7, 3.2);
+        this.followCameraSpeed = 3.0;
+        this.followCameraGoal = new THREE.Vector3();
+        this.followCameraFocus = new THREE.Vector3(0, 1.0, 0);
+    }
+
+    // Create the arrow - in its own scene, or in a shared one (options.scene/camera/renderer from a VRMAvatar)
+    // options.height, options.color tune the arrow
+    async init(containerId = 'vrm-container', { scene = null, camera = null, renderer = null, height = this.height, color = this.color } = {}) {
+        this.height = height;
+        this.color = color;
+
+        if (scene) {
+            this.scene = scene;
+            this.camera = camera;
+            this.renderer = renderer;
+            this.ownsRenderer = false;
+        } else if (!this.initScene(containerId)) {
+            return false;
+        }
+
+        this.arrow = this.createArrowMesh();
+        this.arrow.position.y = this.height;
+        this.scene.add(this.arrow);
+
+        this.animate();
+        this.logger.info('Arrow guide ready');
+        return true;
+    }
+
+    // Standalone scene - floor, lights and a follow camera like the avatar's navigation mode
+    initScene(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            this.logger.error('Arrow guide container not found');
+            return false;
+        }
+        this.container = container;
+
+        const width = container.clientWidth || window.innerWidth;
+        const height = container.clientHeight || window.innerHeight;
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(40, width / height, 0.1, 100);
+        this.camera.position.copy(this.followCameraOffset);
+        this.camera.lookAt(this.followCameraFocus);
+
+        this.renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
+        this.renderer.setSize(width, height);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setClearColor(0x000000, 0);
+        this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+        this.ownsRenderer = true;
+        container.appendChild(this.renderer.domElement);
+
+        this.scene.add(new THREE.HemisphereLight(0xffffff, 0x8899aa, 1.2));
+        const keyLight = new THREE.DirectionalLight(0xffffff, 1.5);
+        keyLight.position.set(2, 4, 3);
+        this.scene.add(keyLight);
+
+        this.scene.add(createNavigationFloor());
+        return true;
+    }
+
+    // Shaft and head built along +Z so the heading yaw maps straight onto rotation.y
+    createArrowMesh() {
+        const material = new THREE.MeshStandardMaterial({
+            color: this.color,
+            emissive: this.color,
+            emissiveIntensity: 0.35,
+            roughness: 0.4,
+            transparent: true,
+            opacity: 0.9
+        });
+
+        const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 0.35, 16), material);
+        shaft.rotation.x = Math.PI / 2;
+        shaft.position.z = -0.05;
+
+        const head = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.22, 24), material);
+        head.rotation.x = Math.PI / 2;
+        head.position.z = 0.23;
+
+        const arrow = new THREE.Group();
+        arrow.name = 'ArrowGuide';
+        arrow.add(shaft, head);
+        return arrow;
+    }
+
+    // Point the arrow at a world position (Vector3, [x, y, z] or { x, y, z }); null clears it.
+    // Resolves true once the arrow faces the target, false if another target or a route takes over first.
+    setTarget(target) {
+        if (this.route) {
+            this.stopRoute();
+        }
+
+        this.settleAim(false);
+        this.target = target ? normalizeWaypoints([target])[0].position : null;
+        if (!this.target) return Promise.resolve(true);
+
+        return new Promise((resolve) => {
+            this.aim = { resolve };
+        });
+    }
+
+    settleAim(aimed) {
+        if (!this.aim) return;
+
+        const { resolve } = this.aim;
+        this.aim = null;
+        resolve(aimed);
+    }
+
+    // Glide along a route ahead of the user - same waypoints, options and events as VRMAvatar.followRoute
+    followRoute(waypoints, { speed = 1.0, turnSpeed = Math.PI, decisionPause = 1.2, showPath = true } = {}) {
+        if (!this.arrow) {
+            this.logger.error('Cannot follow route: arrow guide not initialized');
+            return Promise.resolve(false);
+        }
+
+        this.stopRoute();
+        this.settleAim(false);
+        this.target = null;
+
+        let follower;
+        try {
+            const start = new THREE.Vector3(this.arrow.position.x, 0, this.arrow.position.z);
+            follower = new RouteFollower(waypoints, start, this.heading, { speed, turnSpeed, decisionPause });
+        } catch (error) {
+            this.logger.error('Invalid route:', error);
+            return Promise.resolve(false);
+        }
+
+        // Avoid drawing the path twice when sharing a scene with an avatar that already does
+        if (showPath && !this.scene.getObjectByName('NavigationRoute')) {
+            this.routeLine = createRouteLine(waypoints, { color: this.color });
+            this.scene.add(this.routeLine);
+        }
+
+        return new Promise((resolve) => {
+            this.route = { follower, resolve };
+        });
+    }
+
+    // Stop where the arrow is
+    stopRoute() {
+        const route = this.route;
+        if (!route) return;
+
+        this.route = null;
+        this.removeRouteLine();
+        route.resolve(false);
+    }
+
+    removeRouteLine() {
+        if (this.routeLine) {
+            this.scene.remove(this.routeLine);
+            this.routeLine = null;
+        }
+    }
+
+    dispatchGuideEvent(type, detail = {}) {
+        this.dispatchEvent(new CustomEvent(type, { detail: { guide: 'arrow', ...detail } }));
+    }
+
+    animate() {
+        this.animationFrameId = requestAnimationFrame(() => this.animate());
+
+        const deltaTime = this.clock.getDelta();
+        const elapsedTime = this.clock.getElapsedTime();
+
+        this.update(deltaTime, elapsedTime);
+
+        // A shared scene is rendered by its owner
+        if (this.ownsRenderer) {
+            this.updateFollowCamera(deltaTime);
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    // Advance the route or aim at the target, then bob
+    update(deltaTime, elapsedTime) {
+        if (!this.arrow) return;
+
+        const route = this.route;
+        if (route) {
+            const follower = route.follower;
+            const events = follower.update(deltaTime);
+
+            this.arrow.position.x = follower.position.x;
+            this.arrow.position.z = follower.position.z;
+            this.heading = follower.heading;
+
+            events.forEach(event => {
+                if (event.type === 'waypointReached') {
+                    const waypoint = event.waypoint;
+                    this.dispatchGuideEvent('waypointReached', {
+                        index: waypoint.index,
+                        name: waypoint.name,
+                        decision: waypoint.decision,
+                        position: waypoint.position.clone()
+                    });
+                } else if (event.type === 'routeComplete') {
+                    this.route = null;
+                    this.removeRouteLine();
+                    this.dispatchGuideEvent('routeComplete', { position: follower.position.clone() });
+                    route.resolve(true);
+                }
+            });
+        } else if (this.target) {
+            const dx = this.target.x - this.arrow.position.x;
+            const dz = this.target.z - this.arrow.position.z;
+            let turn = 0;
+            if (Math.hypot(dx, dz) > 1e-3) {
+                turn = THREE.MathUtils.euclideanModulo(Math.atan2(dx, dz) - this.heading + Math.PI, Math.PI * 2) - Math.PI;
+                this.heading += turn * (1 - Math.exp(-this.turnSpeed * deltaTime));
+            }
+            if (Math.abs(turn) < AIM_TOLERANCE) {
+                this.settleAim(true);
+            }
+        }
+
+        this.arrow.rotation.y = this.heading;
+        this.arrow.position.y = this.height + Math.sin(elapsedTime * this.bobSpeed) * this.bobAmplitude;
+    }
+
+    // Trail the arrow when rendering on our own
+    updateFollowCamera(deltaTime) {
+        const position = this.arrow.position;
+        const blend = 1 - Math.exp(-this.followCameraSpeed * deltaTime);
+
+        this.followCameraGoal.set(position.x, 0, position.z).add(this.followCameraOffset);
+        this.camera.position.lerp(this.followCameraGoal, blend);
+
+        this.followCameraFocus.lerp(this.followCameraGoal.set(position.x, 1.0, position.z), blend);
+        this.camera.lookAt(this.followCameraFocus);
+    }
+
+    // Stop the loop and release GPU resources; a shared scene is left to its owner
+    dispose() {
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        this.stopRoute();
+        this.settleAim(false);
+
+        if (this.ownsRenderer && this.renderer) {
+            this.scene.traverse((child) => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+            this.renderer.dispose();
+            this.renderer.domElement.remove();
+        } else if (this.arrow) {
+            this.scene.remove(this.arrow);
+            this.arrow.traverse((child) => {
+                if (child.isMesh) child.geometry.dispose();
+            });
+            this.arrow.children[0].material.dispose();
+        }
+        this.arrow = null;
+
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.logger.info('Arrow guide disposed');
+    }
+}
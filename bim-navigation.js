@@ -0,0 +1,750 @@
+// BIM Navigation - Builds a navigation graph from IFC (or IFC-derived JSON) floor plans
+// Rooms and portals (doors, openings, stairs, elevators) become graph nodes; A* over it
+// produces waypoint lists for VRMAvatar.followRoute / ArrowGuide.followRoute.
+//
+// Scene coordinates throughout: Y up, floor plans on XZ. IFC is Z up, so IFC (x, y, z) maps to (x, z, -y).
+//
+// JSON format:
+// {
+//   "storeys": [{ "id": "3F", "name": "3F", "elevation": 8.0 }],
+//   "spaces":  [{ "id": "s305", "name": "3F-305", "longName": "Meeting Room Sakura", "storey": "3F",
+//                 "center": [x, z], "polygon": [[x, z], ...], "aliases": ["Sakura"] }],
+//   "portals": [{ "id": "d1", "type": "door", "position": [x, z], "spaces": ["s305", "corridor3F"] },
+//               { "id": "st1", "type": "stairs", "positions": [[x, z], [x, z]], "spaces": ["hall2F", "hall3F"] }]
+// }
+// Points are [x, z], [x, y, z] or { x, y, z }; y defaults to the storey elevation.
+// "doors" is accepted as an alias of "portals"; portals without "spaces" join the nearest two rooms.
+
+import * as THREE from 'three';
+import { createLogger } from './vrm-logger.js';
+
+const PORTAL_ELEMENT_TYPES = ['IFCDOOR', 'IFCDOORSTANDARDCASE', 'IFCOPENINGELEMENT', 'IFCVIRTUALELEMENT'];
+
+// Extra cost per meter for vertical connectors, so flat routes win when they exist
+const VERTICAL_COST = {
+    stairs: 2.0,
+    elevator: 1.5
+};
+const ELEVATOR_WAIT_COST = 15.0;        // Meters-equivalent for waiting on the car
+
+// Words that never identify a room on their own
+const QUERY_STOPWORDS = new Set([
+    'a', 'an', 'the', 'to', 'me', 'take', 'go', 'want', 'i', 'please', 'can', 'you', 'could',
+    'where', 'is', 'of', 'in', 'on', 'at', 'find', 'show', 'way', 'room', 'rooms', 'floor', 'my', 'would', 'like'
+]);
+
+// Load a building from an .ifc file or IFC-derived JSON
+export async function loadBuilding(url, options = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const isIFC = /\.ifc$/i.test(url.split(/[?#]/)[0]);
+    const data = isIFC ? parseIFC(await response.text()) : await response.json();
+    return new BuildingNavigator(data, options);
+}
+
+// ---------------------------------------------------------------------------
+// IFC (STEP physical file) reader - storeys, spaces, doors and space boundaries only
+// ---------------------------------------------------------------------------
+
+// Parse IFC text into the JSON format above
+export function parseIFC(text) {
+    const entities = parseStepEntities(text);
+    const byType = (type) => [...entities.values()].filter(entity => entity.type === type);
+    const get = (ref) => (ref && ref.ref !== undefined ? entities.get(ref.ref) : null);
+
+    const lengthScale = getLengthUnitScale(entities);
+    const placementCache = new Map();
+    const placementMatrix = (ref) => getPlacementMatrix(get(ref), get, lengthScale, placementCache);
+
+    // Storeys and the spaces they aggregate
+    const storeys = byType('IFCBUILDINGSTOREY').map(entity => ({
+        id: `#${entity.id}`,
+        name: decodeStepString(entity.args[2]) || `Storey ${entity.id}`,
+        elevation: typeof entity.args[9] === 'number'
+            ? entity.args[9] * lengthScale
+            : toScene(new THREE.Vector3().setFromMatrixPosition(placementMatrix(entity.args[5]))).y
+    }));
+
+    const storeyOf = new Map();
+    entities.forEach(entity => {
+        if (entity.type === 'IFCRELAGGREGATES' || entity.type === 'IFCRELCONTAINEDINSPATIALSTRUCTURE') {
+            const [parent, children] = entity.type === 'IFCRELAGGREGATES'
+                ? [entity.args[4], entity.args[5]]
+                : [entity.args[5], entity.args[4]];
+            const parentEntity = get(parent);
+            if (parentEntity && parentEntity.type === 'IFCBUILDINGSTOREY' && Array.isArray(children)) {
+                children.forEach(child => storeyOf.set(child.ref, `#${parentEntity.id}`));
+            }
+        }
+    });
+
+    const spaceStorey = new Map();
+    const spaces = byType('IFCSPACE').map(entity => {
+        const matrix = placementMatrix(entity.args[5]);
+        const footprint = getFootprint(get(entity.args[6]), get, matrix, lengthScale);
+        const origin = toScene(new THREE.Vector3().setFromMatrixPosition(matrix));
+        const center = footprint ? polygonCentroid(footprint) : [origin.x, origin.z];
+        spaceStorey.set(`#${entity.id}`, storeyOf.get(entity.id) || null);
+
+        return {
+            id: `#${entity.id}`,
+            name: decodeStepString(entity.args[2]) || `Space ${entity.id}`,
+            longName: decodeStepString(entity.args[7]),
+            storey: storeyOf.get(entity.id) || null,
+            center,
+            polygon: footprint
+        };
+    });
+
+    // Doors and openings - which spaces they join comes from space boundaries when present
+    const portalSpaces = new Map();
+    entities.forEach(entity => {
+        if (!entity.type.startsWith('IFCRELSPACEBOUNDARY')) return;
+        const space = get(entity.args[4]);
+        const element = get(entity.args[5]);
+        if (!space || !element || !PORTAL_ELEMENT_TYPES.includes(element.type)) return;
+
+        if (!portalSpaces.has(element.id)) portalSpaces.set(element.id, new Set());
+        portalSpaces.get(element.id).add(`#${space.id}`);
+    });
+
+    const portals = [];
+    entities.forEach(entity => {
+        if (!PORTAL_ELEMENT_TYPES.includes(entity.type)) return;
+        // Openings only count when a boundary references them; doors always do
+        const isDoor = entity.type.startsWith('IFCDOOR');
+        if (!isDoor && !portalSpaces.has(entity.id)) return;
+
+        // Door origins sit at a jamb - move to the middle of the leaf
+        const matrix = placementMatrix(entity.args[5]);
+        const width = isDoor && typeof entity.args[9] === 'number' ? entity.args[9] * lengthScale : 0;
+        const position = toScene(new THREE.Vector3(width / 2, 0, 0).applyMatrix4(matrix));
+        const spaceIds = portalSpaces.has(entity.id) ? [...portalSpaces.get(entity.id)] : null;
+
+        // Plan position only - the height comes from the storey, like the rooms'
+        portals.push({
+            id: `#${entity.id}`,
+            name: decodeStepString(entity.args[2]),
+            type: isDoor ? 'door' : 'opening',
+            position: [position.x, position.z],
+            storey: storeyOf.get(entity.id) || (spaceIds ? spaceStorey.get(spaceIds[0]) : null),
+            spaces: spaceIds
+        });
+    });
+
+    return { storeys, spaces, portals };
+}
+
+// Split the DATA section into { id, type, args } - args are nested arrays of
+// numbers, strings ({ string }), references ({ ref }), enums ({ enum }) and null
+function parseStepEntities(text) {
+    const entities = new Map();
+    const dataStart = text.indexOf('DATA;');
+    const source = dataStart >= 0 ? text.slice(dataStart + 5) : text;
+
+    let statement = '';
+    let inString = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === "'") {
+            inString = !inString;      // '' escapes toggle twice and stay balanced
+        }
+        if (char === ';' && !inString) {
+            const match = statement.trim().match(/^#(\d+)\s*=\s*([A-Z0-9_]+)\s*\(([\s\S]*)\)$/i);
+            if (match) {
+                const id = Number(match[1]);
+                entities.set(id, { id, type: match[2].toUpperCase(), args: parseStepArguments(match[3]) });
+            }
+            statement = '';
+        } else {
+            statement += char;
+        }
+    }
+    return entities;
+}
+
+function parseStepArguments(text) {
+    let index = 0;
+
+    const parseList = () => {
+        const list = [];
+        while (index < text.length) {
+            const char = text[index];
+            if (char === ')') {
+                index++;
+                return list;
+            }
+            if (char === ',' || /\s/.test(char)) {
+                index++;
+                continue;
+            }
+            list.push(parseValue());
+        }
+        return list;
+    };
+
+    const parseValue = () => {
+        const char = text[index];
+        if (char === '(') {
+            index++;
+            return parseList();
+        }
+        if (char === "'") {
+            let value = '';
+            index++;
+            while (index < text.length) {
+                if (text[index] === "'" && text[index + 1] === "'") {
+                    value += "'";
+                    index += 2;
+                } else if (text[index] === "'") {
+                    index++;
+                    break;
+                } else {
+                    value += text[index++];
+                }
+            }
+            return { string: value };
+        }
+        if (char === '$' || char === '*') {
+            index++;
+            return null;
+        }
+
+        const token = text.slice(index).match(/^[^,()]+/)[0];
+        index += token.length;
+        const trimmed = token.trim();
+
+        if (trimmed.startsWith('#')) return { ref: Number(trimmed.slice(1)) };
+        if (trimmed.startsWith('.')) return { enum: trimmed.replace(/\./g, '') };
+        // Typed value such as IFCLABEL('x') or IFCLENGTHMEASURE(2.)
+        if (text[index] === '(') {
+            index++;
+            const inner = parseList();
+            return inner.length === 1 ? inner[0] : inner;
+        }
+        return Number(trimmed);
+    };
+
+    return parseList();
+}
+
+// STEP strings escape non-ASCII as \X2\<UTF-16 hex>\X0\ (and \X\<hex> for Latin-1)
+function decodeStepString(value) {
+    if (!value || value.string === undefined) return null;
+    return value.string
+        .replace(/\\X2\\([0-9A-F]+)\\X0\\/gi, (match, hex) => hex.match(/.{4}/g).map(code => String.fromCharCode(parseInt(code, 16))).join(''))
+        .replace(/\\X\\([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Project length unit - most exports are in millimeters
+function getLengthUnitScale(entities) {
+    for (const entity of entities.values()) {
+        if (entity.type === 'IFCSIUNIT' && entity.args[1] && entity.args[1].enum === 'LENGTHUNIT') {
+            const prefix = entity.args[2] && entity.args[2].enum;
+            return { MILLI: 0.001, CENTI: 0.01, DECI: 0.1, KILO: 1000 }[prefix] || 1;
+        }
+    }
+    return 1;
+}
+
+// World matrix of an IfcLocalPlacement chain (IFC axes, meters)
+function getPlacementMatrix(placement, get, lengthScale, cache) {
+    if (!placement) return new THREE.Matrix4();
+    if (cache.has(placement.id)) return cache.get(placement.id);
+
+    const local = getAxisPlacementMatrix(get(placement.args[1]), get, lengthScale);
+    const parent = get(placement.args[0]);
+    const matrix = parent ? getPlacementMatrix(parent, get, lengthScale, cache).clone().multiply(local) : local;
+
+    cache.set(placement.id, matrix);
+    return matrix;
+}
+
+// IfcAxis2Placement3D / 2D to a matrix
+function getAxisPlacementMatrix(axisPlacement, get, lengthScale) {
+    const matrix = new THREE.Matrix4();
+    if (!axisPlacement) return matrix;
+
+    const location = get(axisPlacement.args[0]);
+    const coordinates = location ? location.args[0] : [0, 0, 0];
+    const position = new THREE.Vector3(coordinates[0] || 0, coordinates[1] || 0, coordinates[2] || 0).multiplyScalar(lengthScale);
+
+    const is3D = axisPlacement.type === 'IFCAXIS2PLACEMENT3D';
+    const zDirection = is3D ? get(axisPlacement.args[1]) : null;
+    const xDirection = get(axisPlacement.args[is3D ? 2 : 1]);
+
+    const zAxis = zDirection ? new THREE.Vector3(...padDirection(zDirection.args[0])).normalize() : new THREE.Vector3(0, 0, 1);
+    const xAxis = xDirection ? new THREE.Vector3(...padDirection(xDirection.args[0])) : new THREE.Vector3(1, 0, 0);
+    xAxis.addScaledVector(zAxis, -xAxis.dot(zAxis)).normalize();
+    const yAxis = new THREE.Vector3().crossVectors(zAxis, xAxis);
+
+    return matrix.makeBasis(xAxis, yAxis, zAxis).setPosition(position);
+}
+
+function padDirection(values) {
+    return [values[0] || 0, values[1] || 0, values[2] || 0];
+}
+
+// Floor outline of a space from an extruded profile, as scene [x, z] pairs
+function getFootprint(productShape, get, placement, lengthScale) {
+    if (!productShape || !Array.isArray(productShape.args[2])) return null;
+
+    for (const representationRef of productShape.args[2]) {
+        const representation = get(representationRef);
+        if (!representation || !Array.isArray(representation.args[3])) continue;
+
+        for (const itemRef of representation.args[3]) {
+            const solid = get(itemRef);
+            if (!solid || solid.type !== 'IFCEXTRUDEDAREASOLID') continue;
+
+            const profile = get(solid.args[0]);
+            const outline = getProfileOutline(profile, get, lengthScale);
+            if (!outline) continue;
+
+            const matrix = placement.clone().multiply(getAxisPlacementMatrix(get(solid.args[1]), get, lengthScale));
+            return outline.map(([x, y]) => {
+                const point = toScene(new THREE.Vector3(x, y, 0).applyMatrix4(matrix));
+                return [point.x, point.z];
+            });
+        }
+    }
+    return null;
+}
+
+// 2D outline of a polyline or rectangle profile (profile coordinates, meters)
+function getProfileOutline(profile, get, lengthScale) {
+    if (!profile) return null;
+
+    if (profile.type === 'IFCARBITRARYCLOSEDPROFILEDEF') {
+        const curve = get(profile.args[2]);
+        if (!curve || curve.type !== 'IFCPOLYLINE') return null;
+        return curve.args[0].map(ref => {
+            const point = get(ref).args[0];
+            return [point[0] * lengthScale, point[1] * lengthScale];
+        });
+    }
+
+    if (profile.type === 'IFCRECTANGLEPROFILEDEF') {
+        const halfX = profile.args[3] * lengthScale / 2;
+        const halfY = profile.args[4] * lengthScale / 2;
+        const matrix = getAxisPlacementMatrix(get(profile.args[2]), get, lengthScale);
+        return [[-halfX, -halfY], [halfX, -halfY], [halfX, halfY], [-halfX, halfY]].map(([x, y]) => {
+            const point = new THREE.Vector3(x, y, 0).applyMatrix4(matrix);
+            return [point.x, point.y];
+        });
+    }
+
+    return null;
+}
+
+// IFC Z-up to scene Y-up
+function toScene(vector) {
+    return vector.set(vector.x, vector.z, -vector.y);
+}
+
+// ---------------------------------------------------------------------------
+// Geometry helpers on [x, z] plan polygons
+// ---------------------------------------------------------------------------
+
+function polygonCentroid(polygon) {
+    let area = 0;
+    let cx = 0;
+    let cz = 0;
+    polygon.forEach(([x0, z0], i) => {
+        const [x1, z1] = polygon[(i + 1) % polygon.length];
+        const cross = x0 * z1 - x1 * z0;
+        area += cross;
+        cx += (x0 + x1) * cross;
+        cz += (z0 + z1) * cross;
+    });
+
+    if (Math.abs(area) < 1e-9) {
+        const sum = polygon.reduce((total, [x, z]) => [total[0] + x, total[1] + z], [0, 0]);
+        return [sum[0] / polygon.length, sum[1] / polygon.length];
+    }
+    return [cx / (3 * area), cz / (3 * area)];
+}
+
+function pointInPolygon(x, z, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, zi] = polygon[i];
+        const [xj, zj] = polygon[j];
+        if ((zi > z) !== (zj > z) && x < (xj - xi) * (z - zi) / (zj - zi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function distanceToPolygon(x, z, polygon) {
+    if (pointInPolygon(x, z, polygon)) return 0;
+
+    let best = Infinity;
+    polygon.forEach(([x0, z0], i) => {
+        const [x1, z1] = polygon[(i + 1) % polygon.length];
+        const dx = x1 - x0;
+        const dz = z1 - z0;
+        const lengthSq = dx * dx + dz * dz;
+        const t = lengthSq > 0 ? THREE.MathUtils.clamp(((x - x0) * dx + (z - z0) * dz) / lengthSq, 0, 1) : 0;
+        best = Math.min(best, Math.hypot(x - (x0 + t * dx), z - (z0 + t * dz)));
+    });
+    return best;
+}
+
+// ---------------------------------------------------------------------------
+// Navigation graph, A* and space queries
+// ---------------------------------------------------------------------------
+
+export class BuildingNavigator {
+    constructor(data, { portalSnapDistance = 1.0, logger = createLogger() } = {}) {
+        this.logger = logger;                            // createLogger() instance, silent by default
+        this.portalSnapDistance = portalSnapDistance;    // How far a door may sit from a room it joins
+
+        this.storeys = (data.storeys || []).map(storey => ({
+            id: String(storey.id ?? storey.name),
+            name: storey.name || String(storey.id),
+            elevation: storey.elevation || 0
+        }));
+
+        this.spaces = (data.spaces || []).map(space => this.normalizeSpace(space));
+        this.spaceById = new Map(this.spaces.map(space => [space.id, space]));
+        this.portals = (data.portals || data.doors || []).map(portal => this.normalizePortal(portal));
+
+        this.nodes = new Map();
+        this.nodesInSpace = new Map();
+        this.buildGraph();
+
+        this.logger.info(`Building loaded: ${this.storeys.length} storeys, ${this.spaces.length} spaces, ${this.portals.length} portals`);
+    }
+
+    getStoreyElevation(storeyId) {
+        const storey = this.storeys.find(candidate => candidate.id === storeyId || candidate.name === storeyId);
+        return storey ? storey.elevation : 0;
+    }
+
+    // [x, z] / [x, y, z] / { x, y, z } to a Vector3, defaulting y to the floor height
+    toPosition(point, elevation = 0) {
+        if (!point) return null;
+        if (point.isVector3) return point.clone();
+        if (Array.isArray(point)) {
+            return point.length === 2
+                ? new THREE.Vector3(point[0], elevation, point[1])
+                : new THREE.Vector3(point[0], point[1], point[2]);
+        }
+        return new THREE.Vector3(point.x || 0, point.y ?? elevation, point.z || 0);
+    }
+
+    normalizeSpace(space) {
+        const storey = space.storey != null ? String(space.storey) : null;
+        const elevation = this.getStoreyElevation(storey);
+        const polygon = space.polygon && space.polygon.length >= 3
+            ? space.polygon.map(point => (Array.isArray(point) ? [point[0], point[point.length - 1]] : [point.x, point.z]))
+            : null;
+        const center = this.toPosition(space.center, elevation)
+            || (polygon ? this.toPosition(polygonCentroid(polygon), elevation) : new THREE.Vector3(0, elevation, 0));
+
+        return {
+            id: String(space.id ?? space.name),
+            name: space.name || String(space.id),
+            longName: space.longName || null,
+            aliases: space.aliases || [],
+            storey,
+            center,
+            polygon
+        };
+    }
+
+    normalizePortal(portal) {
+        const storey = portal.storey != null ? String(portal.storey) : null;
+        const spaceIds = portal.spaces ? portal.spaces.map(String) : null;
+
+        // Vertical connectors carry one position per side, each at its own room's floor
+        const positions = portal.positions
+            ? portal.positions.map((point, i) => {
+                const space = spaceIds && this.spaceById.get(spaceIds[i]);
+                return this.toPosition(point, space ? space.center.y : this.getStoreyElevation(storey));
+            })
+            : [this.toPosition(portal.position, this.getStoreyElevation(storey))];
+
+        return {
+            id: String(portal.id ?? portal.name),
+            name: portal.name || null,
+            type: portal.type || 'door',
+            storey,
+            positions,
+            spaces: spaceIds || this.findAdjacentSpaces(positions[0], storey)
+        };
+    }
+
+    // The two rooms closest to a door without explicit connectivity
+    findAdjacentSpaces(position, storey) {
+        return this.spaces
+            .filter(space => space.polygon && (!storey || !space.storey || space.storey === storey)
+                && Math.abs(space.center.y - position.y) < 1.0)
+            .map(space => ({ space, distance: distanceToPolygon(position.x, position.z, space.polygon) }))
+            .filter(candidate => candidate.distance <= this.portalSnapDistance)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, 2)
+            .map(candidate => candidate.space.id);
+    }
+
+    // Room centers and portal sides are nodes; nodes within the same room are fully connected
+    buildGraph() {
+        const nodesInSpace = this.nodesInSpace;
+        this.spaces.forEach(space => nodesInSpace.set(space.id, []));
+
+        this.spaces.forEach(space => {
+            const node = this.addNode(`space:${space.id}`, space.center, space.name, space.id);
+            nodesInSpace.get(space.id).push(node);
+        });
+
+        this.portals.forEach(portal => {
+            const spaceIds = portal.spaces.filter(id => nodesInSpace.has(id));
+            if (spaceIds.length === 0) {
+                this.logger.warn(`Portal ${portal.id} is not connected to any space`);
+                return;
+            }
+
+            if (portal.positions.length > 1) {
+                // Stairs / elevator - one node per side and a costed vertical edge between them
+                const sides = portal.positions.slice(0, spaceIds.length).map((position, i) => {
+                    const node = this.addNode(`portal:${portal.id}:${i}`, position, portal.name, spaceIds[i]);
+                    nodesInSpace.get(spaceIds[i]).push(node);
+                    return node;
+                });
+                if (sides.length === 2) {
+                    const distance = sides[0].position.distanceTo(sides[1].position);
+                    const cost = distance * (VERTICAL_COST[portal.type] || 1) + (portal.type === 'elevator' ? ELEVATOR_WAIT_COST : 0);
+                    this.addEdge(sides[0], sides[1], cost, portal.type);
+                }
+            } else {
+                const node = this.addNode(`portal:${portal.id}`, portal.positions[0], portal.name, null);
+                spaceIds.forEach(id => nodesInSpace.get(id).push(node));
+            }
+        });
+
+        nodesInSpace.forEach(nodes => {
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    this.addEdge(nodes[i], nodes[j], nodes[i].position.distanceTo(nodes[j].position));
+                }
+            }
+        });
+    }
+
+    addNode(id, position, name, spaceId) {
+        const node = { id, position, name, spaceId, edges: [] };
+        this.nodes.set(id, node);
+        return node;
+    }
+
+    addEdge(a, b, cost, type = null) {
+        a.edges.push({ node: b, cost, type });
+        b.edges.push({ node: a, cost, type });
+    }
+
+    removeNode(node) {
+        node.edges.forEach(edge => {
+            edge.node.edges = edge.node.edges.filter(other => other.node !== node);
+        });
+        this.nodes.delete(node.id);
+    }
+
+    // A* over the graph; returns the node list or null when unreachable
+    findPath(start, goal) {
+        const cameFrom = new Map();
+        const cost = new Map([[start, 0]]);
+        const estimate = new Map([[start, start.position.distanceTo(goal.position)]]);
+        const open = new Set([start]);
+
+        while (open.size > 0) {
+            // Graphs here are a few hundred nodes - a linear scan beats maintaining a heap
+            let current = null;
+            open.forEach(node => {
+                if (!current || estimate.get(node) < estimate.get(current)) current = node;
+            });
+
+            if (current === goal) {
+                const path = [current];
+                while (cameFrom.has(current)) {
+                    current = cameFrom.get(current).node;
+                    path.unshift(current);
+                }
+                return path;
+            }
+
+            open.delete(current);
+            current.edges.forEach(edge => {
+                const tentative = cost.get(current) + edge.cost;
+                if (tentative < (cost.get(edge.node) ?? Infinity)) {
+                    cameFrom.set(edge.node, { node: current, edge });
+                    cost.set(edge.node, tentative);
+                    estimate.set(edge.node, tentative + edge.node.position.distanceTo(goal.position));
+                    open.add(edge.node);
+                }
+            });
+        }
+
+        return null;
+    }
+
+    // Room containing a position, else the nearest room center on that floor
+    findSpaceAt(position) {
+        const point = this.toPosition(position);
+        const sameFloor = this.spaces.filter(space => Math.abs(space.center.y - point.y) < 1.5);
+        const candidates = sameFloor.length > 0 ? sameFloor : this.spaces;
+
+        return candidates.find(space => space.polygon && pointInPolygon(point.x, point.z, space.polygon))
+            || candidates.reduce((best, space) => (!best || space.center.distanceTo(point) < best.center.distanceTo(point) ? space : best), null);
+    }
+
+    // Look up a room by id, name, long name or alias ("Room 3F-305", "3f305", "Sakura")
+    findSpace(query) {
+        if (!query) return null;
+        if (typeof query === 'object' && query.id && this.spaceById.has(query.id)) return this.spaceById.get(query.id);
+
+        const text = String(query);
+        if (this.spaceById.has(text)) return this.spaceById.get(text);
+
+        const compactQuery = compact(stripRoomWords(text));
+        const exact = this.spaces.find(space => getSpaceLabels(space).some(label => compact(stripRoomWords(label)) === compactQuery));
+        return exact || this.resolveDestination(text);
+    }
+
+    // Pick the room an instruction talks about ("can you take me to meeting room 2015?")
+    // Names spelled out in full win; otherwise rooms are scored by shared words and room numbers.
+    resolveDestination(text) {
+        const compactText = compact(text);
+        const words = tokenize(text).filter(word => !QUERY_STOPWORDS.has(word));
+        let best = null;
+        let bestScore = 0;
+
+        this.spaces.forEach(space => {
+            let score = 0;
+            getSpaceLabels(space).forEach(label => {
+                const compactLabel = compact(label);
+                if (compactLabel.length >= 2 && compactText.includes(compactLabel)) {
+                    score = Math.max(score, 10 + compactLabel.length);
+                }
+
+                let overlap = 0;
+                const labelWords = tokenize(label);
+                words.forEach(word => {
+                    if (labelWords.includes(word)) {
+                        overlap += /\d/.test(word) ? 4 : 2;
+                    } else if (/^\d+$/.test(word) && labelWords.some(labelWord => labelWord.replace(/\D/g, '') === word)) {
+                        overlap += 3;      // "2015" matches "V2015" or "3F-2015"
+                    }
+                });
+                score = Math.max(score, overlap);
+            });
+
+            if (score > bestScore) {
+                best = space;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    // Shortest route between rooms or positions as followRoute waypoints.
+    // from / to: room query, room object or position. Turns sharper than options.decisionAngle
+    // (radians) are marked as decision points; vertical connectors carry an action.
+    // Returns { waypoints, distance, from, to } or null when there is no path.
+    findRoute(from, to, { decisionAngle = 0.6 } = {}) {
+        const start = this.resolveEndpoint(from);
+        const goal = this.resolveEndpoint(to);
+        if (!start || !goal) {
+            this.logger.error('Cannot find route: unknown start or destination', from, to);
+            return null;
+        }
+
+        const path = this.findPath(start.node, goal.node);
+        start.cleanup();
+        goal.cleanup();
+
+        if (!path) {
+            this.logger.warn(`No route from ${start.space.name} to ${goal.space.name}`);
+            return null;
+        }
+
+        let distance = 0;
+        const waypoints = path.map((node, i) => {
+            const waypoint = { x: node.position.x, y: node.position.y, z: node.position.z, name: node.name, decision: false };
+
+            if (i > 0) {
+                const previous = path[i - 1];
+                distance += previous.position.distanceTo(node.position);
+                const edge = previous.edges.find(candidate => candidate.node === node);
+                if (edge && edge.type) {
+                    waypoint.action = edge.type === 'stairs'
+                        ? (node.position.y > previous.position.y ? 'stairs_up' : 'stairs_down')
+                        : edge.type;
+                }
+            }
+
+            if (i > 0 && i < path.length - 1) {
+                const incoming = new THREE.Vector2(node.position.x - path[i - 1].position.x, node.position.z - path[i - 1].position.z);
+                const outgoing = new THREE.Vector2(path[i + 1].position.x - node.position.x, path[i + 1].position.z - node.position.z);
+                if (incoming.lengthSq() > 1e-6 && outgoing.lengthSq() > 1e-6) {
+                    const turn = Math.atan2(incoming.cross(outgoing), incoming.dot(outgoing));
+                    waypoint.decision = Math.abs(turn) > decisionAngle;
+                    if (waypoint.decision && !waypoint.action) {
+                        waypoint.action = turn > 0 ? 'turn_right' : 'turn_left';
+                    }
+                }
+            }
+            return waypoint;
+        });
+
+        const last = waypoints[waypoints.length - 1];
+        last.name = goal.space.name;
+        last.action = 'arrive';
+
+        return { waypoints, distance, from: start.space, to: goal.space };
+    }
+
+    // Graph node for a route endpoint - positions get a temporary node joined to their room
+    resolveEndpoint(endpoint) {
+        const isPosition = endpoint && (endpoint.isVector3 || Array.isArray(endpoint)
+            || (typeof endpoint === 'object' && endpoint.x !== undefined && !endpoint.id));
+
+        if (!isPosition) {
+            const space = this.findSpace(endpoint);
+            return space ? { space, node: this.nodes.get(`space:${space.id}`), cleanup: () => {} } : null;
+        }
+
+        const position = this.toPosition(endpoint);
+        const space = this.findSpaceAt(position);
+        if (!space) return null;
+
+        const node = this.addNode(`point:${this.nodes.size}`, position, null, space.id);
+        this.nodesInSpace.get(space.id).forEach(other => {
+            this.addEdge(node, other, node.position.distanceTo(other.position));
+        });
+        return { space, node, cleanup: () => this.removeNode(node) };
+    }
+}
+
+// Labels a room can be found by
+function getSpaceLabels(space) {
+    return [space.name, space.longName, space.id, ...space.aliases].filter(Boolean);
+}
+
+function tokenize(text) {
+    return text.toLowerCase().normalize('NFKC').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Lowercase with separators removed - "3F-305" and "3f 305" compare equal
+function compact(text) {
+    return text.toLowerCase().normalize('NFKC').replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function stripRoomWords(text) {
+    return text.replace(/\b(room|rm\.?)\b/gi, ' ');
+}
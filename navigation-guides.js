@@ -0,0 +1,100 @@
+// Navigation Guides - Picks the guidance interface for a user study condition
+// 'avatar' (embodied agent), 'arrow' (arrow-only baseline) or 'both' (agent complemented by arrows)
+
+import { VRMAvatar } from './vrm-avatar.js';
+import { ArrowGuide } from './arrow-guide.js';
+import { createLogger } from './vrm-logger.js';
+
+export const GUIDE_CONDITIONS = ['avatar', 'arrow', 'both'];
+
+// Condition from the page URL (?condition=arrow), falling back to the default
+export function getConditionFromURL(defaultCondition = 'avatar', parameter = 'condition') {
+    const condition = new URLSearchParams(window.location.search).get(parameter);
+    return GUIDE_CONDITIONS.includes(condition) ? condition : defaultCondition;
+}
+
+// Guide events re-dispatched from NavigationGuides - detail.guide tells 'avatar' and 'arrow' apart
+const FORWARDED_EVENTS = ['ready', 'waypointReached', 'routeComplete', 'modelError', 'poseError'];
+
+// One or two guides driven through the shared interface (init, setTarget / followRoute, dispose)
+export class NavigationGuides extends EventTarget {
+    constructor({ condition = 'avatar', vrmPath = './Mahotsukai.vrm', posePath = './pose.vroidpose', arrow = {}, logLevel = 'silent', logger = console } = {}) {
+        super();
+
+        if (!GUIDE_CONDITIONS.includes(condition)) {
+            throw new Error(`Unknown guide condition "${condition}" (expected ${GUIDE_CONDITIONS.join(', ')})`);
+        }
+
+        this.condition = condition;
+        this.vrmPath = vrmPath;
+        this.posePath = posePath;
+        this.arrowOptions = arrow;
+        this.logLevel = logLevel;
+        this.loggerSink = logger;
+        this.logger = createLogger({ level: logLevel, prefix: 'NavigationGuides', sink: logger });
+        this.avatar = null;
+        this.arrow = null;
+    }
+
+    // Guides active in this condition
+    getGuides() {
+        return [this.avatar, this.arrow].filter(Boolean);
+    }
+
+    // In 'both' the arrow joins the avatar's scene and floats above its head
+    async init(containerId = 'vrm-container') {
+        this.logger.info(`Initializing navigation guides for condition: ${this.condition}`);
+        const guideOptions = { logLevel: this.logLevel, logger: this.loggerSink };
+
+        if (this.condition !== 'arrow') {
+            this.avatar = new VRMAvatar(guideOptions);
+            this.forwardEvents(this.avatar);
+            if (!await this.avatar.init(containerId, this.vrmPath, this.posePath, { mode: 'navigation' })) {
+                return false;
+            }
+        }
+
+        if (this.condition !== 'avatar') {
+            this.arrow = new ArrowGuide(guideOptions);
+            this.forwardEvents(this.arrow);
+            const shared = this.avatar
+                ? { scene: this.avatar.scene, camera: this.avatar.camera, renderer: this.avatar.renderer, height: 2.0 }
+                : {};
+            if (!await this.arrow.init(containerId, { ...shared, ...this.arrowOptions })) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    forwardEvents(guide) {
+        FORWARDED_EVENTS.forEach(type => {
+            guide.addEventListener(type, event => this.dispatchEvent(new CustomEvent(type, { detail: event.detail })));
+        });
+    }
+
+    // Point every guide at a destination; resolves true once all are aimed at it (see the guides' setTarget)
+    setTarget(target) {
+        return Promise.all(this.getGuides().map(guide => guide.setTarget(target)))
+            .then(results => results.every(Boolean));
+    }
+
+    // Walk every guide along the route; resolves true once all have arrived
+    followRoute(waypoints, options = {}) {
+        return Promise.all(this.getGuides().map(guide => guide.followRoute(waypoints, options)))
+            .then(results => results.every(Boolean));
+    }
+
+    // The arrow goes first - in 'both' it lives in the avatar's scene
+    dispose() {
+        if (this.arrow) {
+            this.arrow.dispose();
+            this.arrow = null;
+        }
+        if (this.avatar) {
+            this.avatar.dispose();
+            this.avatar = null;
+        }
+    }
+}
@@ -0,0 +1,91 @@
+// VRM Accessibility - Reduced-motion preference, screen-reader announcements and caption styling
+// Shared by VRMAvatar, AvatarStage and GuidanceController; every helper is a no-op outside a browser.
+
+// Caption text size as a multiple of the default (1.1rem, see .guidance-subtitles)
+export const CAPTION_SIZES = {
+    small: 0.85,
+    medium: 1,
+    large: 1.35,
+    xlarge: 1.7
+};
+
+// 'normal': translucent dark box; 'high': opaque black, yellow text, white outline
+export const CAPTION_CONTRASTS = ['normal', 'high'];
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// Whether the user asked the system for less motion
+export function prefersReducedMotion() {
+    return !!(globalThis.matchMedia && matchMedia(REDUCED_MOTION_QUERY).matches);
+}
+
+// Call onChange(reduced) now and whenever the preference changes. Returns a function that stops watching.
+export function watchReducedMotion(onChange) {
+    if (!globalThis.matchMedia) {
+        onChange(false);
+        return () => {};
+    }
+
+    const query = matchMedia(REDUCED_MOTION_QUERY);
+    const handler = (event) => onChange(event.matches);
+    // Safari before 14 only has the deprecated addListener
+    if (query.addEventListener) {
+        query.addEventListener('change', handler);
+    } else {
+        query.addListener(handler);
+    }
+    onChange(query.matches);
+
+    return () => {
+        if (query.removeEventListener) {
+            query.removeEventListener('change', handler);
+        } else {
+            query.removeListener(handler);
+        }
+    };
+}
+
+// Visually hidden live region that screen readers read out when its text changes.
+// politeness: 'polite' (after the current sentence) or 'assertive' (interrupts). Null outside a page.
+export function createLiveRegion({ politeness = 'polite', parent = globalThis.document && document.body } = {}) {
+    if (!parent) return null;
+
+    const region = document.createElement('div');
+    region.className = 'vrm-visually-hidden';
+    region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+    region.setAttribute('aria-live', politeness);
+    region.setAttribute('aria-atomic', 'true');
+    parent.appendChild(region);
+    return region;
+}
+
+// Read text out through a live region. The region is emptied first so the same text twice is read twice.
+export function announce(region, text) {
+    if (!region) return;
+
+    region.textContent = '';
+    if (!text) return;
+    setTimeout(() => { region.textContent = text; }, 50);
+}
+
+// Caption size ('small' ... 'xlarge' or a number) and contrast on a caption element (see .guidance-subtitles)
+export function applyCaptionStyle(element, { size = 'medium', contrast = 'normal' } = {}) {
+    if (!element) return;
+
+    const scale = typeof size === 'number' ? size : CAPTION_SIZES[size];
+    if (!scale) {
+        throw new Error(`Unknown caption size "${size}" (expected ${Object.keys(CAPTION_SIZES).join(', ')} or a number)`);
+    }
+    if (!CAPTION_CONTRASTS.includes(contrast)) {
+        throw new Error(`Unknown caption contrast "${contrast}" (expected ${CAPTION_CONTRASTS.join(', ')})`);
+    }
+
+    element.style.setProperty('--caption-scale', scale);
+    element.classList.toggle('guidance-subtitles-high-contrast', contrast === 'high');
+}
+
+// Whether a key event belongs to a text field - shortcuts leave those alone
+export function isEditableTarget(target) {
+    if (!target || !target.tagName) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
@@ -0,0 +1,215 @@
+// VRM Animation Loader - Retargets VRMA, BVH and Mixamo (FBX/GLB) clips onto VRM normalized bones
+// Clips come back as THREE.AnimationClip with tracks named after the normalized bone nodes
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { BVHLoader } from 'three/addons/loaders/BVHLoader.js';
+import { VRMAnimationLoaderPlugin, createVRMAnimationHumanoidTracks } from '@pixiv/three-vrm-animation';
+
+// Mixamo rig names (without the "mixamorig" prefix) to VRM bone names.
+// Most BVH exporters use the same naming; pass a custom boneMap for others (e.g. CMU mocap).
+export const RIG_TO_VRM_BONE_MAP = {
+    Hips: 'hips',
+    Spine: 'spine',
+    Spine1: 'chest',
+    Spine2: 'upperChest',
+    Neck: 'neck',
+    Head: 'head',
+
+    LeftShoulder: 'leftShoulder',
+    LeftArm: 'leftUpperArm',
+    LeftForeArm: 'leftLowerArm',
+    LeftHand: 'leftHand',
+    RightShoulder: 'rightShoulder',
+    RightArm: 'rightUpperArm',
+    RightForeArm: 'rightLowerArm',
+    RightHand: 'rightHand',
+
+    LeftUpLeg: 'leftUpperLeg',
+    LeftLeg: 'leftLowerLeg',
+    LeftFoot: 'leftFoot',
+    LeftToeBase: 'leftToes',
+    RightUpLeg: 'rightUpperLeg',
+    RightLeg: 'rightLowerLeg',
+    RightFoot: 'rightFoot',
+    RightToeBase: 'rightToes',
+
+    LeftHandThumb1: 'leftThumbMetacarpal',
+    LeftHandThumb2: 'leftThumbProximal',
+    LeftHandThumb3: 'leftThumbDistal',
+    LeftHandIndex1: 'leftIndexProximal',
+    LeftHandIndex2: 'leftIndexIntermediate',
+    LeftHandIndex3: 'leftIndexDistal',
+    LeftHandMiddle1: 'leftMiddleProximal',
+    LeftHandMiddle2: 'leftMiddleIntermediate',
+    LeftHandMiddle3: 'leftMiddleDistal',
+    LeftHandRing1: 'leftRingProximal',
+    LeftHandRing2: 'leftRingIntermediate',
+    LeftHandRing3: 'leftRingDistal',
+    LeftHandPinky1: 'leftLittleProximal',
+    LeftHandPinky2: 'leftLittleIntermediate',
+    LeftHandPinky3: 'leftLittleDistal',
+
+    RightHandThumb1: 'rightThumbMetacarpal',
+    RightHandThumb2: 'rightThumbProximal',
+    RightHandThumb3: 'rightThumbDistal',
+    RightHandIndex1: 'rightIndexProximal',
+    RightHandIndex2: 'rightIndexIntermediate',
+    RightHandIndex3: 'rightIndexDistal',
+    RightHandMiddle1: 'rightMiddleProximal',
+    RightHandMiddle2: 'rightMiddleIntermediate',
+    RightHandMiddle3: 'rightMiddleDistal',
+    RightHandRing1: 'rightRingProximal',
+    RightHandRing2: 'rightRingIntermediate',
+    RightHandRing3: 'rightRingDistal',
+    RightHandPinky1: 'rightLittleProximal',
+    RightHandPinky2: 'rightLittleIntermediate',
+    RightHandPinky3: 'rightLittleDistal'
+};
+
+// Work out the clip format from the file extension
+export function detectAnimationFormat(url) {
+    const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (extension === 'vrma') return 'vrma';
+    if (extension === 'bvh') return 'bvh';
+    if (extension === 'fbx') return 'fbx';
+    if (extension === 'glb' || extension === 'gltf') return 'gltf';
+    return null;
+}
+
+// Load a clip and retarget it to the VRM.
+// options.format: 'vrma' | 'bvh' | 'fbx' | 'gltf' (default: from the extension)
+// options.boneMap: source bone name -> VRM bone name, for BVH/Mixamo
+// Returns { clip, boneNames } where boneNames lists the VRM bones the clip animates.
+export async function loadAnimationClip(url, vrm, { format = detectAnimationFormat(url), boneMap = RIG_TO_VRM_BONE_MAP, name = url } = {}) {
+    let clip;
+
+    if (format === 'vrma') {
+        clip = await loadVRMAnimationClip(url, vrm);
+    } else if (format === 'bvh') {
+        const result = await new BVHLoader().loadAsync(url);
+        clip = retargetClip(result.clip, result.skeleton.bones[0], vrm, boneMap);
+    } else if (format === 'fbx') {
+        const asset = await new FBXLoader().loadAsync(url);
+        clip = retargetClip(findMixamoClip(asset.animations), asset, vrm, boneMap);
+    } else if (format === 'gltf') {
+        const gltf = await new GLTFLoader().loadAsync(url);
+        clip = retargetClip(findMixamoClip(gltf.animations), gltf.scene, vrm, boneMap);
+    } else {
+        throw new Error(`Unsupported animation format for ${url}`);
+    }
+
+    clip.name = name;
+    return { clip, boneNames: getClipBoneNames(clip, vrm) };
+}
+
+// VRM Animation (.vrma) - already in humanoid space, three-vrm-animation does the conversion
+async function loadVRMAnimationClip(url, vrm) {
+    const loader = new GLTFLoader();
+    loader.register((parser) => new VRMAnimationLoaderPlugin(parser));
+
+    const gltf = await loader.loadAsync(url);
+    const vrmAnimation = gltf.userData.vrmAnimations && gltf.userData.vrmAnimations[0];
+    if (!vrmAnimation) {
+        throw new Error(`No VRM animation found in ${url}`);
+    }
+
+    // Humanoid tracks only - expressions and look-at are driven by the avatar itself
+    const { translation, rotation } = createVRMAnimationHumanoidTracks(vrmAnimation, vrm.humanoid, vrm.meta.metaVersion);
+    return new THREE.AnimationClip('vrma', vrmAnimation.duration, [...translation.values(), ...rotation.values()]);
+}
+
+// Mixamo exports name their take "mixamo.com"
+function findMixamoClip(animations) {
+    const clip = animations.find(animation => animation.name === 'mixamo.com') || animations[0];
+    if (!clip) {
+        throw new Error('No animation clip found in file');
+    }
+    return clip;
+}
+
+// Strip Mixamo prefixes ("mixamorig:Hips", "mixamorigHips", "mixamorig1Hips")
+function stripRigPrefix(nodeName) {
+    return nodeName.replace(/^mixamorig\d*:?/, '');
+}
+
+// Retarget a skeletal clip onto normalized VRM bones.
+// Rotations are moved from the source rest pose into the normalized (T-pose, identity) space,
+// hips translation is scaled by the ratio of hips heights.
+export function retargetClip(clip, sourceRoot, vrm, boneMap = RIG_TO_VRM_BONE_MAP) {
+    const tracks = [];
+    const metaVersion = vrm.meta && vrm.meta.metaVersion;
+    const restRotationInverse = new THREE.Quaternion();
+    const parentRestWorldRotation = new THREE.Quaternion();
+    const rotation = new THREE.Quaternion();
+
+    sourceRoot.updateMatrixWorld(true);
+
+    const vrmHipsHeight = vrm.humanoid.normalizedRestPose.hips.position[1];
+
+    clip.tracks.forEach(track => {
+        const separator = track.name.lastIndexOf('.');
+        const sourceName = track.name.slice(0, separator);
+        const property = track.name.slice(separator + 1);
+
+        const vrmBoneName = boneMap[stripRigPrefix(sourceName)];
+        const vrmNode = vrmBoneName ? vrm.humanoid.getNormalizedBoneNode(vrmBoneName) : null;
+        const sourceNode = sourceRoot.getObjectByName(sourceName);
+        if (!vrmNode || !sourceNode) return;
+
+        sourceNode.getWorldQuaternion(restRotationInverse).invert();
+        if (sourceNode.parent) {
+            sourceNode.parent.getWorldQuaternion(parentRestWorldRotation);
+        } else {
+            parentRestWorldRotation.identity();
+        }
+
+        if (property === 'quaternion') {
+            const values = track.values.slice();
+            for (let i = 0; i < values.length; i += 4) {
+                rotation.fromArray(values, i);
+                rotation.premultiply(parentRestWorldRotation).multiply(restRotationInverse);
+                rotation.toArray(values, i);
+            }
+
+            tracks.push(new THREE.QuaternionKeyframeTrack(
+                `${vrmNode.name}.quaternion`,
+                track.times,
+                values.map((value, i) => (metaVersion === '0' && i % 2 === 0 ? -value : value))
+            ));
+        } else if (property === 'position' && vrmBoneName === 'hips') {
+            // BVH roots often sit at the origin in the rest pose - fall back to the first frame
+            const sourceHipsHeight = sourceNode.position.y || track.values[1];
+            const scale = sourceHipsHeight ? vrmHipsHeight / sourceHipsHeight : 1;
+
+            tracks.push(new THREE.VectorKeyframeTrack(
+                `${vrmNode.name}.position`,
+                track.times,
+                Array.from(track.values, (value, i) => (metaVersion === '0' && i % 3 !== 1 ? -value : value) * scale)
+            ));
+        }
+    });
+
+    return new THREE.AnimationClip(clip.name, clip.duration, tracks);
+}
+
+// VRM bone names a retargeted clip animates
+function getClipBoneNames(clip, vrm) {
+    const nodeNameToBone = {};
+    Object.keys(vrm.humanoid.humanBones).forEach(boneName => {
+        const node = vrm.humanoid.getNormalizedBoneNode(boneName);
+        if (node) {
+            nodeNameToBone[node.name] = boneName;
+        }
+    });
+
+    const boneNames = new Set();
+    clip.tracks.forEach(track => {
+        const boneName = nodeNameToBone[track.name.slice(0, track.name.lastIndexOf('.'))];
+        if (boneName) {
+            boneNames.add(boneName);
+        }
+    });
+    return [...boneNames];
+}
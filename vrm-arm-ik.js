@@ -0,0 +1,104 @@
+// VRM Arm IK - Analytic two-bone IK for pointing gestures
+// Works on normalized humanoid bone nodes in world space
+
+import * as THREE from 'three';
+
+const _bonePosition = new THREE.Vector3();
+const _currentDirection = new THREE.Vector3();
+const _desiredDirection = new THREE.Vector3();
+const _deltaRotation = new THREE.Quaternion();
+const _worldRotation = new THREE.Quaternion();
+const _parentRotation = new THREE.Quaternion();
+
+const _shoulder = new THREE.Vector3();
+const _elbow = new THREE.Vector3();
+const _wrist = new THREE.Vector3();
+const _tip = new THREE.Vector3();
+const _toTarget = new THREE.Vector3();
+const _pole = new THREE.Vector3();
+const _elbowGoal = new THREE.Vector3();
+const _wristGoal = new THREE.Vector3();
+
+// Rotate a bone (in world space) so the direction towards tipWorldPosition matches desiredWorldDirection
+export function aimBone(bone, tipWorldPosition, desiredWorldDirection) {
+    bone.getWorldPosition(_bonePosition);
+    _currentDirection.copy(tipWorldPosition).sub(_bonePosition);
+    if (_currentDirection.lengthSq() < 1e-10 || desiredWorldDirection.lengthSq() < 1e-10) return;
+
+    _currentDirection.normalize();
+    _desiredDirection.copy(desiredWorldDirection).normalize();
+    _deltaRotation.setFromUnitVectors(_currentDirection, _desiredDirection);
+
+    bone.getWorldQuaternion(_worldRotation);
+    _worldRotation.premultiply(_deltaRotation);
+
+    if (bone.parent) {
+        bone.parent.getWorldQuaternion(_parentRotation);
+        _worldRotation.premultiply(_parentRotation.invert());
+    }
+
+    bone.quaternion.copy(_worldRotation);
+    bone.updateMatrixWorld(true);
+}
+
+// Solve upper arm -> lower arm -> hand so the wrist sits along the shoulder-to-target line
+// and the hand (towards tip, e.g. the index finger) aims at the target.
+// chain: { upper, lower, end, tip }  - tip is optional
+// poleDirection: world direction the elbow should bend towards
+// options.reach: fraction of the full arm length used when the target is out of reach
+export function solveTwoBoneIK(chain, targetPosition, poleDirection, { reach = 0.95 } = {}) {
+    const { upper, lower, end, tip } = chain;
+    if (!upper || !lower || !end) return false;
+
+    upper.getWorldPosition(_shoulder);
+    lower.getWorldPosition(_elbow);
+    end.getWorldPosition(_wrist);
+
+    const upperLength = _shoulder.distanceTo(_elbow);
+    const lowerLength = _elbow.distanceTo(_wrist);
+    const armLength = upperLength + lowerLength;
+
+    _toTarget.copy(targetPosition).sub(_shoulder);
+    const targetDistance = _toTarget.length();
+    if (targetDistance < 1e-6 || armLength < 1e-6) return false;
+    _toTarget.divideScalar(targetDistance);
+
+    // Wrist distance from the shoulder, kept inside the triangle inequality
+    const wristDistance = THREE.MathUtils.clamp(
+        Math.min(targetDistance, armLength * reach),
+        Math.abs(upperLength - lowerLength) + 1e-4,
+        armLength * 0.999
+    );
+
+    // Law of cosines - distance along the shoulder-wrist axis and height of the elbow off it
+    const along = (upperLength * upperLength - lowerLength * lowerLength + wristDistance * wristDistance) / (2 * wristDistance);
+    const height = Math.sqrt(Math.max(upperLength * upperLength - along * along, 0));
+
+    // Pole direction made perpendicular to the shoulder-wrist axis
+    _pole.copy(poleDirection).addScaledVector(_toTarget, -poleDirection.dot(_toTarget));
+    if (_pole.lengthSq() < 1e-8) {
+        _pole.set(0, -1, 0).addScaledVector(_toTarget, _toTarget.y);
+        if (_pole.lengthSq() < 1e-8) _pole.set(0, 0, 1);
+    }
+    _pole.normalize();
+
+    _elbowGoal.copy(_shoulder).addScaledVector(_toTarget, along).addScaledVector(_pole, height);
+    _wristGoal.copy(_shoulder).addScaledVector(_toTarget, wristDistance);
+
+    // Upper arm towards the elbow goal
+    aimBone(upper, _elbow, _desiredDirection.copy(_elbowGoal).sub(_shoulder));
+
+    // Lower arm towards the wrist goal
+    lower.getWorldPosition(_elbow);
+    end.getWorldPosition(_wrist);
+    aimBone(lower, _wrist, _desiredDirection.copy(_wristGoal).sub(_elbow));
+
+    // Hand towards the target
+    if (tip) {
+        end.getWorldPosition(_wrist);
+        tip.getWorldPosition(_tip);
+        aimBone(end, _tip, _desiredDirection.copy(targetPosition).sub(_wrist));
+    }
+
+    return true;
+}
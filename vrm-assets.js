@@ -0,0 +1,285 @@
+// VRM Assets - Compressed model loading (KTX2/Basis, Draco, meshopt), versioned offline caching and preloading
+// Downloads go to Cache Storage, or IndexedDB where Cache Storage is missing (plain http outside localhost).
+// The service worker (vrm-service-worker.js) shares the same cache, so cached files also load with no network.
+
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { VRMLoaderPlugin } from '@pixiv/three-vrm';
+
+// Bump to drop every cached asset. Models and poses are cache first with no revalidation, so a model or
+// .vroidpose replaced under the same URL only shows up after a bump (or a fetch with options.reload).
+// The service worker gets it through its registration URL (registerServiceWorker).
+export const ASSET_CACHE_VERSION = 1;
+
+const CACHE_PREFIX = 'vrm-assets-v';
+const DATABASE_NAME = 'vrm-assets';
+const STORE_NAME = 'assets';
+
+// Decoders ship with three.js - same version as the importmap; vrm-service-worker.js precaches them (CDN_FILES)
+const DECODER_BASE = 'https://unpkg.com/three@0.160.0/examples/jsm/libs/';
+
+// GLTFLoader for VRM models with Draco and meshopt geometry and KTX2 (Basis) textures.
+// The renderer tells the KTX2 transcoder which GPU formats to target; without one KTX2 is left out.
+// Free the decoders with disposeModelLoader().
+export function createModelLoader(renderer = null, {
+    dracoDecoderPath = DECODER_BASE + 'draco/gltf/',
+    ktx2TranscoderPath = DECODER_BASE + 'basis/',
+    meshopt = true
+} = {}) {
+    const loader = new GLTFLoader();
+
+    if (dracoDecoderPath) {
+        const dracoLoader = new DRACOLoader();
+        dracoLoader.setDecoderPath(dracoDecoderPath);
+        loader.setDRACOLoader(dracoLoader);
+    }
+
+    if (ktx2TranscoderPath && renderer && renderer.isWebGLRenderer) {
+        const ktx2Loader = new KTX2Loader();
+        ktx2Loader.setTranscoderPath(ktx2TranscoderPath);
+        ktx2Loader.detectSupport(renderer);
+        loader.setKTX2Loader(ktx2Loader);
+    }
+
+    if (meshopt) {
+        loader.setMeshoptDecoder(MeshoptDecoder);
+    }
+
+    loader.register((parser) => new VRMLoaderPlugin(parser));
+    return loader;
+}
+
+// Stop the decoder workers of a createModelLoader() loader
+export function disposeModelLoader(loader) {
+    if (loader.dracoLoader) loader.dracoLoader.dispose();
+    if (loader.ktx2Loader) loader.ktx2Loader.dispose();
+}
+
+// Register the offline service worker. Resolves with the registration, or null where service workers
+// aren't available (file://, plain http outside localhost, old browsers).
+// The worker names its asset cache from ?assetVersion, so it and AssetCache never delete each other's cache.
+export async function registerServiceWorker(url = './vrm-service-worker.js', { scope = './' } = {}) {
+    if (!globalThis.navigator || !('serviceWorker' in navigator)) return null;
+
+    const workerUrl = new URL(url, document.baseURI);
+    workerUrl.searchParams.set('assetVersion', ASSET_CACHE_VERSION);
+    try {
+        return await navigator.serviceWorker.register(workerUrl.href, { scope });
+    } catch (error) {
+        return null;
+    }
+}
+
+// Downloads keyed by absolute URL, cached per ASSET_CACHE_VERSION.
+// Storage failures (quota, private browsing) are logged and fall through to the network.
+export class AssetCache {
+    // options.enabled: false always uses the network, options.logger: logger for storage problems (see createLogger)
+    constructor({ enabled = true, logger = null } = {}) {
+        this.enabled = enabled;
+        this.logger = logger;
+        this.storage = null;           // Promise of { get, put, delete, clear } or null once opened
+    }
+
+    // Pick the storage backend once and drop entries from older versions
+    open() {
+        if (!this.storage) {
+            this.storage = this.enabled ? openStorage(ASSET_CACHE_VERSION).catch((error) => {
+                this.warn('Asset cache unavailable, loading from the network:', error);
+                return null;
+            }) : Promise.resolve(null);
+        }
+        return this.storage;
+    }
+
+    // Cached bytes of url, or null
+    async get(url) {
+        const storage = await this.open();
+        if (!storage) return null;
+
+        try {
+            return await storage.get(resolveUrl(url));
+        } catch (error) {
+            this.warn(`Asset cache read failed for ${url}:`, error);
+            return null;
+        }
+    }
+
+    async put(url, buffer, type = 'application/octet-stream') {
+        const storage = await this.open();
+        if (!storage) return false;
+
+        try {
+            await storage.put(resolveUrl(url), buffer, type);
+            return true;
+        } catch (error) {
+            this.warn(`Asset cache write failed for ${url}:`, error);
+            return false;
+        }
+    }
+
+    // Bytes of url - from the cache, else downloaded and cached. onProgress(loaded, total) reports the download
+    // (total is 0 when unknown; a cache hit reports once, complete). options.reload skips the cache.
+    async fetch(url, { onProgress = null, reload = false } = {}) {
+        if (!reload) {
+            const cached = await this.get(url);
+            if (cached) {
+                if (onProgress) onProgress(cached.byteLength, cached.byteLength);
+                return cached;
+            }
+        }
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+        }
+
+        const buffer = await readResponse(response, onProgress);
+        await this.put(url, buffer, response.headers.get('Content-Type') || undefined);
+        return buffer;
+    }
+
+    async fetchJSON(url, options = {}) {
+        const buffer = await this.fetch(url, options);
+        return JSON.parse(new TextDecoder().decode(buffer));
+    }
+
+    // Download assets ahead of use so they load instantly - and offline - later.
+    // onProgress({ url, loaded, total }) per finished asset. Resolves { loaded: [urls], failed: [{ url, error }] }.
+    async preload(urls, { onProgress = null } = {}) {
+        const result = { loaded: [], failed: [] };
+
+        await Promise.all(urls.map(async (url) => {
+            try {
+                await this.fetch(url);
+                result.loaded.push(url);
+            } catch (error) {
+                result.failed.push({ url, error });
+            }
+            if (onProgress) {
+                onProgress({ url, loaded: result.loaded.length + result.failed.length, total: urls.length });
+            }
+        }));
+        return result;
+    }
+
+    async delete(url) {
+        const storage = await this.open();
+        return storage ? storage.delete(resolveUrl(url)) : false;
+    }
+
+    async clear() {
+        const storage = await this.open();
+        if (storage) await storage.clear();
+    }
+
+    warn(...args) {
+        if (this.logger) this.logger.warn(...args);
+    }
+}
+
+// Cache Storage where available, else IndexedDB (some private modes expose caches but refuse to open them)
+async function openStorage(version) {
+    if (globalThis.caches) {
+        try {
+            return await openCacheStorage(version);
+        } catch (error) {
+            if (!globalThis.indexedDB) throw error;
+        }
+    }
+    if (globalThis.indexedDB) return openIndexedDBStorage(version);
+    return null;
+}
+
+async function openCacheStorage(version) {
+    const name = CACHE_PREFIX + version;
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(cacheName => cacheName.startsWith(CACHE_PREFIX) && cacheName !== name)
+        .map(cacheName => caches.delete(cacheName)));
+
+    let cache = await caches.open(name);
+    return {
+        async get(url) {
+            const response = await cache.match(url);
+            return response ? response.arrayBuffer() : null;
+        },
+        put: (url, buffer, type) => cache.put(url, new Response(buffer, { headers: { 'Content-Type': type } })),
+        delete: (url) => cache.delete(url),
+        clear: () => caches.delete(name).then(() => caches.open(name)).then((fresh) => { cache = fresh; })
+    };
+}
+
+// One object store of { url, version, type, data } records; records of other versions are removed on open
+async function openIndexedDBStorage(version) {
+    const database = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'url' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const transact = (mode, work) => new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const result = work(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+
+    await transact('readwrite', (store) => {
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (cursor.value.version !== version) cursor.delete();
+            cursor.continue();
+        };
+    });
+
+    return {
+        async get(url) {
+            const record = await transact('readonly', (store) => store.get(url));
+            return record && record.version === version ? record.data : null;
+        },
+        put: (url, data, type) => transact('readwrite', (store) => store.put({ url, version, type, data })),
+        delete: (url) => transact('readwrite', (store) => store.delete(url)),
+        clear: () => transact('readwrite', (store) => store.clear())
+    };
+}
+
+// Absolute URL, so './pose.vroidpose' and 'pose.vroidpose' share one entry
+function resolveUrl(url) {
+    const base = globalThis.document ? document.baseURI : globalThis.location && location.href;
+    return base ? new URL(url, base).href : url;
+}
+
+// Read a response body, reporting (loaded, total) as chunks arrive
+async function readResponse(response, onProgress) {
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (!onProgress || !response.body) {
+        const buffer = await response.arrayBuffer();
+        if (onProgress) onProgress(buffer.byteLength, total || buffer.byteLength);
+        return buffer;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.byteLength;
+        // Content-Length counts compressed bytes when the server gzips - unknown then
+        onProgress(loaded, total >= loaded ? total : 0);
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    });
+    return bytes.buffer;
+}
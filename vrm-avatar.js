@@ -2,20 +2,160 @@
 // Separated JavaScript module for VRM avatar functionality
 
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { VRM, VRMLoaderPlugin, VRMUtils } from 'https://unpkg.com/@pixiv/three-vrm@2.0.6/lib/three-vrm.module.js';
+import { VRM, VRMUtils } from '@pixiv/three-vrm';
+import { FINGER_NAMES, FINGER_SEGMENTS, getHandPresetRotations, resolveHandPresetName } from './vrm-hand-presets.js';
+import { solveTwoBoneIK } from './vrm-arm-ik.js';
+import { LipSync, VISEME_NAMES } from './vrm-lip-sync.js';
+import { EmotionController } from './vrm-emotions.js';
+import { GazeController } from './vrm-gaze.js';
+import { InputTracker } from './vrm-input.js';
+import { ARFloorTracker, createReticle, isARSupported } from './vrm-xr.js';
+import { LIGHTING_PRESETS, LightingRig, configureKeyShadow, createShadowPlane, setShadowExtent } from './vrm-lighting.js';
+import { PoseEditor, downloadVRoidPose } from './vrm-pose-editor.js';
+import { SpringBoneController } from './vrm-spring-bones.js';
+import { loadAnimationClip } from './vrm-animation-loader.js';
+import { AssetCache, createModelLoader, disposeModelLoader } from './vrm-assets.js';
+import { RouteFollower, createNavigationFloor, createRouteLine } from './vrm-navigation.js';
+import { createLogger } from './vrm-logger.js';
+import { watchReducedMotion } from './vrm-accessibility.js';
 
-export class VRMAvatar {
-    constructor() {
+// Map VRoid (Unity HumanBodyBones) bone names to VRM bone names
+// VRoid thumbs use Proximal/Intermediate/Distal, VRM 1.0 uses Metacarpal/Proximal/Distal
+const VROID_BONE_NAME_MAP = {
+    // Torso and head
+    'Hips': 'hips',
+    'Spine': 'spine',
+    'Chest': 'chest',
+    'UpperChest': 'upperChest',
+    'Neck': 'neck',
+    'Head': 'head',
+    'LeftEye': 'leftEye',
+    'RightEye': 'rightEye',
+    'Jaw': 'jaw',
+
+    // Arms
+    'LeftShoulder': 'leftShoulder',
+    'LeftUpperArm': 'leftUpperArm',
+    'LeftLowerArm': 'leftLowerArm',
+    'LeftHand': 'leftHand',
+    'RightShoulder': 'rightShoulder',
+    'RightUpperArm': 'rightUpperArm',
+    'RightLowerArm': 'rightLowerArm',
+    'RightHand': 'rightHand',
+
+    // Legs
+    'LeftUpperLeg': 'leftUpperLeg',
+    'LeftLowerLeg': 'leftLowerLeg',
+    'LeftFoot': 'leftFoot',
+    'LeftToes': 'leftToes',
+    'RightUpperLeg': 'rightUpperLeg',
+    'RightLowerLeg': 'rightLowerLeg',
+    'RightFoot': 'rightFoot',
+    'RightToes': 'rightToes',
+
+    // Fingers - Left hand
+    'LeftThumbProximal': 'leftThumbMetacarpal',
+    'LeftThumbIntermediate': 'leftThumbProximal',
+    'LeftThumbDistal': 'leftThumbDistal',
+    'LeftIndexProximal': 'leftIndexProximal',
+    'LeftIndexIntermediate': 'leftIndexIntermediate',
+    'LeftIndexDistal': 'leftIndexDistal',
+    'LeftMiddleProximal': 'leftMiddleProximal',
+    'LeftMiddleIntermediate': 'leftMiddleIntermediate',
+    'LeftMiddleDistal': 'leftMiddleDistal',
+    'LeftRingProximal': 'leftRingProximal',
+    'LeftRingIntermediate': 'leftRingIntermediate',
+    'LeftRingDistal': 'leftRingDistal',
+    'LeftLittleProximal': 'leftLittleProximal',
+    'LeftLittleIntermediate': 'leftLittleIntermediate',
+    'LeftLittleDistal': 'leftLittleDistal',
+
+    // Fingers - Right hand
+    'RightThumbProximal': 'rightThumbMetacarpal',
+    'RightThumbIntermediate': 'rightThumbProximal',
+    'RightThumbDistal': 'rightThumbDistal',
+    'RightIndexProximal': 'rightIndexProximal',
+    'RightIndexIntermediate': 'rightIndexIntermediate',
+    'RightIndexDistal': 'rightIndexDistal',
+    'RightMiddleProximal': 'rightMiddleProximal',
+    'RightMiddleIntermediate': 'rightMiddleIntermediate',
+    'RightMiddleDistal': 'rightMiddleDistal',
+    'RightRingProximal': 'rightRingProximal',
+    'RightRingIntermediate': 'rightRingIntermediate',
+    'RightRingDistal': 'rightRingDistal',
+    'RightLittleProximal': 'rightLittleProximal',
+    'RightLittleIntermediate': 'rightLittleIntermediate',
+    'RightLittleDistal': 'rightLittleDistal'
+};
+
+// Easing curves for pose transitions, progress 0..1 in and out
+const EASING_FUNCTIONS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => t * (2 - t),
+    easeInOut: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    smoothstep: (t) => t * t * (3 - 2 * t)
+};
+
+// Camera framing presets - the bones to keep in view and how much room to leave around them
+const FRAMING_PRESETS = {
+    fullBody: { bones: ['head', 'leftHand', 'rightHand', 'leftFoot', 'rightFoot'], includeFeet: true, padding: 1.1 },
+    upperBody: { bones: ['head', 'hips', 'leftLowerArm', 'rightLowerArm'], padding: 1.15 },
+    face: { bones: ['head', 'neck'], padding: 1.5 }
+};
+
+// Saved avatar state format (getState / setState)
+const STATE_VERSION = 1;
+const DEFAULT_STATE_KEY = 'vrm-avatar-state';
+
+// .vroidpose hand preset fields (see applyHandAnimationsFromVRoidData) kept in the state as 'hands'
+const HAND_ANIMATION_FIELDS = ['LeftHandAnimationName', 'LeftHandAnimationWeight', 'RightHandAnimationName', 'RightHandAnimationWeight'];
+
+// Named screen directions for pointAt, in camera space (x right, y up, z into the screen)
+const SCREEN_DIRECTIONS = {
+    left: { x: -1, y: 0, z: 0 },
+    right: { x: 1, y: 0, z: 0 },
+    up: { x: 0, y: 1, z: 0 },
+    down: { x: 0, y: -1, z: 0 },
+    forward: { x: 0, y: 0, z: 1 }
+};
+
+// VRMAvatar is an EventTarget - events carry their data in event.detail:
+//   ready          init finished                      { vrm }
+//   frame          after each rendered frame          { deltaTime, elapsedTime }
+//   poseApplied    a pose is fully shown              { posePath, duration }
+//   poseError      a pose file could not be applied   { posePath, error }
+//   boneMissing    the model lacks a bone in use      { boneName, context, sourceName }
+//   loadstart / progress / loaded / error             model loading (see setModel)
+//   modelError     a model failed to load or has no VRM humanoid { source, error, message }
+//   waypointReached / routeComplete                   route following (see followRoute)
+//   arstart / arplaced / arend                        immersive-ar session (see enterAR)
+//   motionchange   reduced-motion mode turned on/off  { reducedMotion }
+//
+// options.logLevel: 'silent' (default), 'error', 'warn', 'info' or 'debug'; options.logger: custom sink (console-like)
+export class VRMAvatar extends EventTarget {
+    constructor({ logLevel = 'silent', logger = console } = {}) {
+        super();
+        
+        this.logger = createLogger({ level: logLevel, prefix: 'VRMAvatar', sink: logger });
+        
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.vrm = null;
         this.clock = new THREE.Clock();
         
-        // Mouse tracking
-        this.mouseX = 0;
-        this.mouseY = 0;
+        // Lifecycle - render loop, listeners added in init, pause and frame pacing
+        this.animationFrameId = null;
+        this.listeners = [];
+        this.paused = false;
+        this.disposed = false;
+        this.maxFps = null;               // Frame-rate cap, null for the display rate
+        this.lastFrameTime = 0;
+        this.renderMode = 'continuous';   // 'continuous' or 'onDemand' (only while something animates)
+        this.renderRequested = true;
+        this.headLookSettled = false;
+        this.followCameraSettled = false;
         
         // Bone references
         this.headBone = null;
@@ -27,12 +167,131 @@ export class VRMAvatar {
         this.swayIntensity = 0.025;       // Reduced from 0.04, subtle sway
         this.breathingSpeed = 1.1;        // Natural breathing rhythm
         this.swaySpeed = 0.7;             // Gentle sway speed
+        
+        // Rest pose (the authored pose) that per-frame motion layers are composed onto
+        this.restPose = {};
+        this.handAnimations = null;       // Hand preset fields of the last applied .vroidpose, null for none
+        
+        this.offsetEuler = new THREE.Euler();
+        this.offsetQuaternion = new THREE.Quaternion();
+        
+        // Gaze - the controller picks a target, neck and head share the turn and the eyes cover the rest.
+        // Each joint takes its share of the total turn up to its own limits (radians) and damps at its own rate.
+        this.gaze = new GazeController();
+        this.gazeJoints = {
+            neck: { share: 1 / 3, yawLimit: 0.3, pitchLimit: 0.2, speed: 4.0, yaw: 0, pitch: 0 },
+            head: { share: 2 / 3, yawLimit: 0.5, pitchLimit: 0.3, speed: 7.0, yaw: 0, pitch: 0 }
+        };
+        this.eyeTrackingSpeed = 20.0;     // Eyes catch up almost at once (per second)
+        this.eyeTarget = null;            // Smoothed world point the eyes look at
+        
+        // Pose transition state
+        this.poseTransition = null;
+        this.poseChangeId = 0;
+        
+        // Pointing gesture state
+        this.pointing = null;
+        this.pointDistance = 3.0;         // How far away screen directions are projected (meters)
+        this.headFollowLimitY = 0.7;      // Max head turn when following a target (radians)
+        this.headFollowLimitX = 0.4;      // Max head tilt when following a target (radians)
+        
+        // Pointer and device-orientation input (created in init)
+        this.input = null;
+        
+        // Reduced-motion mode (see setReducedMotion) and the prefers-reduced-motion watcher in 'auto'
+        this.reducedMotion = false;
+        this.stopWatchingReducedMotion = null;
+        
+        // Accessible name of the canvas (see setAccessibleLabel)
+        this.accessibleLabel = 'Animated guide character';
+        
+        // In-page pose editor while editing (see enablePoseEditor)
+        this.poseEditor = null;
+        
+        // Shared AvatarStage this avatar renders on (see attachToStage), null when it owns its renderer
+        this.stage = null;
+        
+        // WebXR immersive-ar session state (see enterAR)
+        this.ar = null;
+        this.shadowPlane = null;
+        
+        // Lip sync (created on first use)
+        this.lipSync = null;
+        
+        // Spring bone physics (hair, skirt) - a controller per model; stepping options outlive model swaps
+        this.springBones = null;
+        this.retiredSpringBones = null;   // The previous model's controller until the next one takes its tuning
+        this.physicsOptions = {};
+        
+        // Emotions and blinking
+        this.emotions = new EmotionController();
+        
+        // Animation clips - the mixer drives proxy bones that are blended onto the rest pose
+        this.animations = {};
+        this.mixer = null;
+        this.animationRig = null;
+        this.animationRigBones = {};
+        this.clipLayer = {
+            action: null,
+            name: null,
+            boneNames: [],
+            previousBoneNames: [],
+            crossfadeRemaining: 0,
+            weight: 0,
+            targetWeight: 0,
+            fadeTime: 0.3,
+            keepIdle: true,
+            resolve: null
+        };
+        
+        // Scene mode - 'portrait' (overlay) or 'navigation' (floor, route walking)
+        this.mode = 'portrait';
+        this.container = null;
+        
+        // Viewport - fixed size from init options, otherwise the container's size
+        this.viewportSize = null;
+        this.resizeObserver = null;
+        this.framing = null;              // { preset } or { bone, padding }; null keeps the default camera
+        
+        // Saved-state bookkeeping (see getState)
+        this.modelUrl = null;
+        this.motionIntensity = 1.0;
+        
+        // Lighting rig (created in initScene) - keyLight is its shadow-casting light
+        this.lighting = null;
+        this.lightingPreset = 'studio';
+        this.keyLight = null;
+        
+        // Navigation mode
+        this.navigationFloor = null;
+        this.routeLine = null;
+        this.route = null;
+        this.walkAnimation = null;
+        this.walkWeight = 0;
+        this.walkPhase = 0;
+        this.strideLength = 1.2;          // Meters per full walk cycle (two steps)
+        this.followCameraOffset = new THREE.Vector3(0, 1.7, 3.2);
+        this.followCameraSpeed = 3.0;     // Damping rate of the follow camera (per second)
+        this.followCameraGoal = new THREE.Vector3();
+        this.followCameraFocus = new THREE.Vector3(0, 1.0, 0);
+        
+        // Model loading - newer setModel calls supersede older ones
+        this.modelLoadId = 0;
+        
+        // Downloads go through the offline cache (see configureAssets); the loader is created on first use
+        this.assets = new AssetCache({ logger: this.logger });
+        this.assetOptions = {};
+        this.modelLoader = null;
     }
 
     initScene(containerId = 'vrm-container') {        
         this.scene = new THREE.Scene();
         
-        this.camera = new THREE.PerspectiveCamera(40, 200/480, 0.1, 100);
+        const container = document.getElementById(containerId);
+        this.container = container;
+        const { width, height } = this.getViewportSize();
+        
+        this.camera = new THREE.PerspectiveCamera(40, width / height, 0.1, 100);
         this.camera.position.set(0, 0.4, 2.2);
         
         this.renderer = new THREE.WebGLRenderer({ 
@@ -41,7 +300,7 @@ export class VRMAvatar {
             powerPreference: "high-performance",
             precision: "highp"
         });
-        this.renderer.setSize(200, 480);
+        this.renderer.setSize(width, height);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
         this.renderer.setClearColor(0x000000, 0);
         
@@ -51,93 +310,144 @@ export class VRMAvatar {
         
         this.renderer.outputColorSpace = THREE.SRGBColorSpace;
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-        this.renderer.toneMappingExposure = 1.2;
+        this.renderer.toneMappingExposure = 1.2;   // The lighting preset sets this from here on
         
         this.renderer.physicallyCorrectLights = true;
         this.renderer.gammaFactor = 2.2;
         
-        const container = document.getElementById(containerId);
         if (container) {
             container.appendChild(this.renderer.domElement);
-            console.log('Renderer added to container');
+            this.setAccessibleLabel(this.accessibleLabel);
+            this.logger.debug('Renderer added to container');
         } else {
-            console.error('VRM container not found');
+            this.logger.error('VRM container not found');
             return false;
         }
         
         this.setupLighting();
+        
+        if (this.mode === 'navigation') {
+            this.setupNavigationScene();
+        }
         return true;
     }
 
+    // Viewport size - fixed from init options, else the container's size.
+    // A container without a layout size (e.g. display: none) falls back to the overlay size or the window.
+    getViewportSize() {
+        if (this.viewportSize) {
+            return this.viewportSize;
+        }
+        
+        const width = this.container ? this.container.clientWidth : 0;
+        const height = this.container ? this.container.clientHeight : 0;
+        if (width > 0 && height > 0) {
+            return { width, height };
+        }
+        
+        return this.mode === 'navigation'
+            ? { width: window.innerWidth, height: window.innerHeight }
+            : { width: 200, height: 480 };
+    }
+
+    // Follow the container's size - covers layout changes that don't resize the window
+    observeContainerSize() {
+        if (!this.container || this.viewportSize || typeof ResizeObserver === 'undefined') return;
+        
+        this.resizeObserver = new ResizeObserver(() => this.onWindowResize());
+        this.resizeObserver.observe(this.container);
+    }
+
+    // Navigation mode - floor at y = 0 and a third-person camera behind the avatar
+    setupNavigationScene() {
+        this.navigationFloor = createNavigationFloor();
+        this.scene.add(this.navigationFloor);
+
+        // The floor catches the shadows here - park the portrait plane on it, hidden until AR placement needs it
+        if (this.shadowPlane) {
+            this.shadowPlane.position.y = 0;
+            this.shadowPlane.visible = false;
+        }
+
+        this.camera.position.copy(this.followCameraOffset);
+        this.camera.lookAt(0, 1.0, 0);
+        
+        // Widen the key light's shadow camera so shadows survive walking around
+        if (this.keyLight) {
+            setShadowExtent(this.keyLight, 4);
+        }
+        
+        this.logger.info('Navigation scene ready');
+    }
+
+    // Five-light rig (key, fill, rim, ambient, ground bounce) - see LIGHTING_PRESETS
     setupLighting() {
-        console.log('Setting up professional avatar lighting with shadows...');
-        
-        const keyLight = new THREE.DirectionalLight(0xffffff, 1.8);
-        keyLight.position.set(2, 4, 3);
-        keyLight.castShadow = true;
-        
-        keyLight.shadow.mapSize.width = 2048;
-        keyLight.shadow.mapSize.height = 2048;
-        keyLight.shadow.camera.near = 0.1;
-        keyLight.shadow.camera.far = 20;
-        keyLight.shadow.camera.left = -2;
-        keyLight.shadow.camera.right = 2;
-        keyLight.shadow.camera.top = 2;
-        keyLight.shadow.camera.bottom = -2;
-        keyLight.shadow.bias = -0.0005;
-        keyLight.shadow.normalBias = 0.02;
-        keyLight.shadow.radius = 8;
-        this.scene.add(keyLight);
-        
-        // Fill light - Softer light from opposite side to reduce harsh shadows
-        const fillLight = new THREE.DirectionalLight(0xfff8e1, 0.6);
-        fillLight.position.set(-3, 2, 2);
-        fillLight.castShadow = false; // Fill light doesn't need shadows
-        this.scene.add(fillLight);
-        
-        // Rim/Back light - Creates nice edge lighting on avatar
-        const rimLight = new THREE.DirectionalLight(0xe8f4ff, 0.8);
-        rimLight.position.set(-1, 3, -2);
-        rimLight.castShadow = false;
-        this.scene.add(rimLight);
-        
-        // Ambient light - Soft overall illumination
-        const ambientLight = new THREE.AmbientLight(0x404556, 0.4);
-        this.scene.add(ambientLight);
-        
-        // Bottom/ground bounce light - Simulates light bouncing from ground
-        const groundLight = new THREE.DirectionalLight(0xffffff, 0.3);
-        groundLight.position.set(0, -2, 1);
-        groundLight.castShadow = false;
-        this.scene.add(groundLight);
+        this.logger.debug('Setting up professional avatar lighting with shadows...');
+        
+        this.lighting = new LightingRig(this.scene, this.renderer, { preset: this.lightingPreset });
+        
+        configureKeyShadow(this.lighting.key, { extent: 2 });
+        this.keyLight = this.lighting.key;
         
         // Add invisible ground plane for shadow catching
         this.addShadowPlane();
+    }
+
+    // Blend to a lighting preset: 'studio', 'indoorFluorescent', 'outdoorDaylight' or 'night'.
+    // options.instant switches without the blend. Clears a light estimate.
+    setLightingPreset(name, { instant = false } = {}) {
+        if (!LIGHTING_PRESETS[name]) {
+            this.logger.error(`Unknown lighting preset: ${name}`);
+            return false;
+        }
         
-        // Store original intensities for dynamic adjustment
-        this.storeLightIntensities();
+        this.lightingPreset = name;
+        if (this.lighting) {
+            this.lighting.setPreset(name, { instant });
+            this.requestRender();
+        }
+        return true;
+    }
+
+    // Feed an estimated light so the avatar matches the camera view - key and fill lights blend towards it.
+    // estimate: { direction (towards the light), color, intensity, ambientColor, ambientIntensity }, e.g. from
+    // lightEstimateFromXR() or estimateLightFromImage(); null returns to the preset.
+    setLightEstimate(estimate) {
+        if (!this.lighting) return;
+        
+        this.lighting.setLightEstimate(estimate);
+        this.requestRender();
+    }
+
+    // Image-based lighting from an equirectangular .hdr / .exr / LDR image.
+    // options.background shows it behind the avatar too. Resolves true once applied.
+    async loadEnvironmentMap(url, { background = false } = {}) {
+        if (!this.lighting) return false;
+        
+        try {
+            await this.lighting.loadEnvironment(url, { background });
+            this.logger.info(`Environment map loaded: ${url}`);
+            this.requestRender();
+            return true;
+        } catch (error) {
+            this.logger.error('Error loading environment map:', error);
+            return false;
+        }
     }
 
     // Add invisible shadow-catching plane
     addShadowPlane() {
-        const planeGeometry = new THREE.PlaneGeometry(4, 4);
-        const planeMaterial = new THREE.ShadowMaterial({ 
-            opacity: 0.3,
-            transparent: true 
-        });
-        
-        const shadowPlane = new THREE.Mesh(planeGeometry, planeMaterial);
-        shadowPlane.rotation.x = -Math.PI / 2;
+        const shadowPlane = createShadowPlane({ size: 4 });
         shadowPlane.position.y = -2;
-        shadowPlane.receiveShadow = true;
         
         this.scene.add(shadowPlane);
-        console.log('Shadow-catching plane added');
+        this.shadowPlane = shadowPlane;
+        this.logger.debug('Shadow-catching plane added');
     }
 
     // Enable shadows on VRM model
     enableShadowsOnVRM(scene) {
-        console.log('Enabling shadows on VRM model...');
+        this.logger.debug('Enabling shadows on VRM model...');
         let meshCount = 0;
         
         scene.traverse((child) => {
@@ -161,52 +471,201 @@ export class VRMAvatar {
             }
         });
         
-        console.log(`Shadows enabled on ${meshCount} meshes in VRM model`);
+        this.logger.debug(`Shadows enabled on ${meshCount} meshes in VRM model`);
     }
 
-    // Load VRM model with proper VRM support
+    // Load the initial VRM model - falls back to a placeholder cube if nothing could be shown
     async loadVRM(vrmPath = './Mahotsukai-jk.vrm') {
+        const loaded = await this.setModel(vrmPath);
+        if (!loaded && !this.vrm) {
+            this.createFallbackCube();
+        }
+    }
+
+    // Swap the avatar model at runtime - source is a URL, an ArrayBuffer (or typed array) or a File/Blob.
+    // The current model stays until the new one has loaded; its pose and loaded animations carry over.
+    // Emits loadstart / progress / loaded / error; options.onProgress({ loaded, total, progress }) too.
+    // Resolves true once the new model is shown, false on error or when a newer setModel call wins.
+    async setModel(source, { onProgress = null } = {}) {
+        const loadId = ++this.modelLoadId;
+        const sourceName = describeModelSource(source);
+        
+        this.logger.info(`Loading VRM model from ${sourceName}...`);
+        this.dispatchAvatarEvent('loadstart', { source: sourceName });
+        
+        let gltf;
         try {
-            console.log('Loading VRM model with anatomical pose support...');
-            const loader = new GLTFLoader();
-            
-            // Register VRM plugin
-            loader.register((parser) => {
-                return new VRMLoaderPlugin(parser);
+            gltf = await this.loadModelData(source, (loaded, total) => {
+                if (loadId !== this.modelLoadId) return;
+                
+                const progress = { loaded, total, progress: total > 0 ? loaded / total : null };
+                if (onProgress) {
+                    onProgress(progress);
+                }
+                this.dispatchAvatarEvent('progress', { source: sourceName, ...progress });
             });
+        } catch (error) {
+            if (loadId !== this.modelLoadId) return false;
             
-            const gltf = await loader.loadAsync(vrmPath);
-            console.log('GLTF loaded:', gltf);
-            
-            // Get VRM instance
-            this.vrm = gltf.userData.vrm;
-            
-            if (this.vrm) {
-                // Add VRM model - positioned and rotated
-                this.scene.add(this.vrm.scene);
-                this.vrm.scene.position.set(0, -1.3, 0);
-                this.vrm.scene.rotation.y = Math.PI - 0.15; // Face forward - VRoid coordinate system check
-                this.vrm.scene.scale.set(1, 1, 1);
-                
-                // Enable shadows on VRM model
-                this.enableShadowsOnVRM(this.vrm.scene);
-                
-                console.log('VRM model loaded successfully');
-                console.log('VRM lookAt available:', !!this.vrm.lookAt);
-                console.log('VRM humanoid available:', !!this.vrm.humanoid);
-                
-                this.setupBones();
-                await this.applyVRoidPose(this.currentPosePath || './pose.vroidpose');
-                
-            } else {
-                console.warn('No VRM data found, loading as regular GLTF');
-                this.createFallbackVRM(gltf);
+            this.logger.error('Error loading VRM model:', error);
+            this.dispatchAvatarEvent('error', { source: sourceName, error, message: error.message });
+            this.dispatchAvatarEvent('modelError', { source: sourceName, error, message: error.message });
+            return false;
+        }
+        
+        // A newer setModel call started while this one was loading
+        if (loadId !== this.modelLoadId || this.disposed) {
+            VRMUtils.deepDispose(gltf.scene);
+            return false;
+        }
+        
+        const placement = this.unloadModel();
+        
+        if (gltf.userData.vrm) {
+            await this.addVRM(gltf.userData.vrm, placement);
+        } else {
+            this.logger.warn('No VRM data found, loading as regular GLTF');
+            this.createFallbackVRM(gltf);
+            this.dispatchAvatarEvent('modelError', { source: sourceName, error: null, message: 'No VRM data found in model' });
+        }
+        
+        // Only URLs can be written into a saved state
+        this.modelUrl = typeof source === 'string' ? source : null;
+        
+        this.dispatchAvatarEvent('loaded', { source: sourceName, isVRM: !!gltf.userData.vrm });
+        return true;
+    }
+
+    // Fetch or parse a model, reporting (loaded, total) bytes - total is 0 when unknown
+    async loadModelData(source, onProgress) {
+        // Draco / meshopt geometry and KTX2 textures decode in workers kept for the next model
+        if (!this.modelLoader) {
+            this.modelLoader = createModelLoader(this.renderer, this.assetOptions);
+        }
+        const loader = this.modelLoader;
+        
+        // URLs come from the offline cache when they were loaded before; external buffers and textures
+        // resolve relative to the model
+        if (typeof source === 'string') {
+            const buffer = await this.assets.fetch(source, { onProgress });
+            return loader.parseAsync(buffer, THREE.LoaderUtils.extractUrlBase(source));
+        }
+        
+        let buffer;
+        if (source instanceof ArrayBuffer) {
+            buffer = source;
+        } else if (ArrayBuffer.isView(source)) {
+            buffer = source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength);
+        } else if (source instanceof Blob) {
+            buffer = await readBlob(source, onProgress);
+        } else {
+            throw new Error('Unsupported model source - expected a URL, ArrayBuffer or File');
+        }
+        
+        onProgress(buffer.byteLength, buffer.byteLength);
+        return loader.parseAsync(buffer, '');
+    }
+
+    // Add a loaded VRM, set up its bones and re-apply the current pose.
+    // placement carries the previous model's spot on the floor in navigation mode.
+    async addVRM(vrm, placement = null) {
+        this.vrm = vrm;
+        
+        // Add VRM model - positioned and rotated
+        this.scene.add(this.vrm.scene);
+        this.vrm.scene.position.set(0, this.mode === 'navigation' ? 0 : -1.3, 0);
+        this.vrm.scene.rotation.y = this.mode === 'navigation'
+            ? this.getFacingYawOffset()   // Heading 0 faces +Z, towards the follow camera
+            : Math.PI - 0.15;             // Face forward - VRoid coordinate system check
+        this.vrm.scene.scale.set(1, 1, 1);
+        
+        // On a stage the layout decides where each avatar stands
+        if (this.stage) {
+            placement = this.stage.getPlacement(this);
+        }
+        if (placement && (this.mode === 'navigation' || this.ar || this.stage)) {
+            this.vrm.scene.position.copy(placement.position);
+            this.vrm.scene.rotation.y = placement.heading + this.getFacingYawOffset();
+        }
+        
+        // Enable shadows on VRM model
+        this.enableShadowsOnVRM(this.vrm.scene);
+        
+        this.logger.info('VRM model loaded successfully');
+        this.logger.debug('VRM lookAt available:', !!this.vrm.lookAt);
+        this.logger.debug('VRM humanoid available:', !!this.vrm.humanoid);
+        
+        this.setupBones();
+        this.setupSpringBones();
+        this.setupExpressions();
+        await this.applyVRoidPose(this.currentPosePath || './pose.vroidpose');
+        this.applyFraming();
+        
+        // Clips are retargeted per model - load them again for the new skeleton
+        const animations = Object.entries(this.animations);
+        this.animations = {};
+        await Promise.all(animations.map(([name, animation]) => this.loadAnimation(animation.url, name, animation.options)));
+        
+        if (this.route) {
+            this.route.clipPlaying = false;
+        }
+    }
+
+    // Remove the current model and everything bound to its skeleton.
+    // Returns where it stood ({ position, heading }) so a replacement can take its place.
+    unloadModel() {
+        if (!this.vrm) return null;
+        
+        const placement = this.vrm.humanoid
+            ? { position: this.vrm.scene.position.clone(), heading: this.getAvatarHeading() }
+            : null;
+        
+        this.disablePoseEditor();
+        this.cancelPoseTransition();
+        if (this.pointing) {
+            this.pointing.resolve(false);
+            this.pointing = null;
+        }
+        
+        if (this.mixer) {
+            if (this.clipLayer.resolve) {
+                this.clipLayer.resolve(false);
             }
-            
-        } catch (error) {
-            console.error('Error loading VRM model:', error);
-            this.createFallbackCube();
+            Object.assign(this.clipLayer, { action: null, name: null, boneNames: [], previousBoneNames: [], weight: 0, targetWeight: 0, resolve: null });
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.animationRig);
+            this.mixer = null;
+        }
+        
+        this.restPose = {};
+        this.animationRigBones = {};
+        this.headBone = null;
+        this.neckBone = null;
+        this.spinalBones = {};
+        
+        if (this.springBones) {
+            this.retiredSpringBones = this.springBones;
+            this.springBones = null;
         }
+        
+        this.scene.remove(this.vrm.scene);
+        if (this.vrm.humanoid) {
+            VRMUtils.deepDispose(this.vrm.scene);
+        } else {
+            this.vrm.scene.traverse((child) => disposeObject(child));
+        }
+        this.vrm = null;
+        
+        this.logger.info('Previous model unloaded');
+        return placement;
+    }
+
+    // A bone the avatar wants to drive doesn't exist on this model.
+    // context: 'setup' (motion bones), 'collider' (addSpringBoneCollider) or 'pose' (referenced by a pose file,
+    // sourceName is the VRoid name)
+    reportMissingBone(boneName, context, sourceName = null) {
+        this.logger.warn(`Bone missing (${context}): ${boneName}`);
+        this.dispatchAvatarEvent('boneMissing', { boneName, context, sourceName });
     }
 
     // Setup bone references
@@ -221,262 +680,483 @@ export class VRMAvatar {
             this.spinalBones.chest = this.vrm.humanoid.getNormalizedBoneNode('chest');
             this.spinalBones.upperChest = this.vrm.humanoid.getNormalizedBoneNode('upperChest');
             
-            console.log('Head bone found:', !!this.headBone);
-            console.log('Neck bone found:', !!this.neckBone);
-            console.log('Spinal bones found:', Object.keys(this.spinalBones).filter(key => this.spinalBones[key]).length);
-        }
-    }
-
-    // Load VRoid pose data from file
-    async loadVRoidPoseData(posePath = './pose.vroidpose') {
-        try {
-            console.log(`Loading VRoid pose data from ${posePath}...`);
-            const response = await fetch(posePath);
-            
-            if (!response.ok) {
-                throw new Error(`Failed to load pose file: ${response.status} ${response.statusText}`);
-            }
+            this.logger.debug('Head bone found:', !!this.headBone);
+            this.logger.debug('Neck bone found:', !!this.neckBone);
+            this.logger.debug('Spinal bones found:', Object.keys(this.spinalBones).filter(key => this.spinalBones[key]).length);
             
-            const poseData = await response.json();
-            console.log('VRoid pose data loaded successfully:', poseData);
+            if (!this.headBone) this.reportMissingBone('head', 'setup');
+            if (!this.neckBone) this.reportMissingBone('neck', 'setup');
+            Object.keys(this.spinalBones).forEach(boneName => {
+                if (!this.spinalBones[boneName]) this.reportMissingBone(boneName, 'setup');
+            });
             
-            return poseData;
-        } catch (error) {
-            console.error('Error loading VRoid pose data:', error);
-            return null;
+            this.captureRestPose();
+            this.createAnimationRig();
         }
     }
 
-    // Apply VRoid pose from loaded data
-    async applyVRoidPose(posePath = './pose.vroidpose') {
-        if (!this.vrm.humanoid) return;
+    // Take over the model's spring bones; tuning and wind from the previous model carry over
+    setupSpringBones() {
+        const retired = this.retiredSpringBones;
+        this.retiredSpringBones = null;
+        if (!this.vrm.springBoneManager) return;
         
-        console.log('Applying VRoid pose from .vroidpose file...');
-        
-        // Load pose data from file
-        const vroidPoseData = await this.loadVRoidPoseData(posePath);
-        if (!vroidPoseData) {
-            console.warn('Failed to load pose data, using default natural pose');
-            return;
+        this.springBones = new SpringBoneController(this.vrm.springBoneManager, this.physicsOptions);
+        if (retired) {
+            this.springBones.copySettingsFrom(retired);
         }
-        
-        // Get all relevant bone references including fingers
-        const bones = this.getAllBoneReferences();
-        
-        // Extract bone definitions from VRoid pose data
-        const boneDefinitions = vroidPoseData.BoneDefinition;
-        if (!boneDefinitions) {
-            console.error('No BoneDefinition found in VRoid pose data');
-            return;
+        this.logger.debug('Spring bone groups:', this.springBones.getGroupNames());
+    }
+
+    // vrm.update with the spring bones stepped by the SpringBoneController instead of once per frame
+    updateVRM(deltaTime) {
+        const springBoneManager = this.springBones ? this.vrm.springBoneManager : null;
+        if (springBoneManager) {
+            this.vrm.springBoneManager = null;
+        }
+        this.vrm.update(deltaTime);
+        if (springBoneManager) {
+            this.vrm.springBoneManager = springBoneManager;
+            this.springBones.update(deltaTime);
         }
+    }
 
-        // Apply bone rotations from VRoid pose data
-        this.applyBoneRotationsFromVRoidData(bones, boneDefinitions);
+    // Settle hair and clothes at rest on the current pose, so they don't swing in from where they were.
+    // Runs by itself after instant pose changes, model swaps, AR placement and when the page is shown again;
+    // call it after moving the avatar yourself.
+    resetPhysics() {
+        if (!this.springBones) return;
+        
+        this.vrm.humanoid.update();
+        this.vrm.scene.updateMatrixWorld(true);
+        this.springBones.reset();
+        this.requestRender();
+    }
 
-        // Apply initial head tilt - slightly looking up
-        if (this.headBone) {
-            this.headBone.rotation.x = -0.1; // Slight upward tilt
+    // Spring bone stepping: options.fixedTimestep (seconds per substep, null = one step per frame),
+    // options.maxSubsteps and options.maxDeltaTime (longest frame simulated) - see SpringBoneController
+    setPhysicsStepping(options = {}) {
+        Object.assign(this.physicsOptions, options);
+        if (this.springBones) {
+            Object.assign(this.springBones, options);
+            this.springBones.accumulator = 0;
         }
-        
-        if (this.neckBone) {
-            this.neckBone.rotation.x = -0.05; // Subtle neck support
+    }
+
+    // Tune a spring bone group ('hair', 'skirt', 'bust', 'accessory', 'other', 'all' or a RegExp on the bone name):
+    // { stiffness, gravityPower, dragForce, hitRadius } scale the model's values, gravityDir replaces the direction.
+    // null restores the model's settings.
+    setSpringBoneSettings(group, settings) {
+        if (!this.springBones) {
+            this.logger.warn('Cannot tune spring bones: model has none');
+            return false;
         }
+        this.springBones.setGroupSettings(group, settings);
+        return true;
+    }
+
+    // Wind blowing through hair and clothes, e.g. outdoors in AR - { direction, strength, gustStrength,
+    // gustFrequency, turbulence } (see SpringBoneController.setWind); null stills it
+    setWind(wind) {
+        if (!this.springBones) return false;
         
-        // Apply natural finger poses (since we don't have the hand animation files)
-        this.applyNaturalFingerPoses(bones);
-        
-        console.log('VRoid pose from .vroidpose file applied successfully');
-        console.log('Applied VRoid coordinate system correction: x*-1, y*-1, z, w');
-        console.log('Model coordinate system: Y-up, Z-forward (toward camera), X-right');
+        this.springBones.setWind(wind);
+        return true;
     }
 
-    // Get all bone references for pose application
-    getAllBoneReferences() {
-        return {
-            // Body bones
-            hips: this.vrm.humanoid.getNormalizedBoneNode('hips'),
-            spine: this.vrm.humanoid.getNormalizedBoneNode('spine'),
-            chest: this.vrm.humanoid.getNormalizedBoneNode('chest'),
-            upperChest: this.vrm.humanoid.getNormalizedBoneNode('upperChest'),
-            leftShoulder: this.vrm.humanoid.getNormalizedBoneNode('leftShoulder'),
-            rightShoulder: this.vrm.humanoid.getNormalizedBoneNode('rightShoulder'),
-            leftUpperArm: this.vrm.humanoid.getNormalizedBoneNode('leftUpperArm'),
-            rightUpperArm: this.vrm.humanoid.getNormalizedBoneNode('rightUpperArm'),
-            leftLowerArm: this.vrm.humanoid.getNormalizedBoneNode('leftLowerArm'),
-            rightLowerArm: this.vrm.humanoid.getNormalizedBoneNode('rightLowerArm'),
-            leftHand: this.vrm.humanoid.getNormalizedBoneNode('leftHand'),
-            rightHand: this.vrm.humanoid.getNormalizedBoneNode('rightHand'),
-            
-            // Finger bones - Left hand
-            leftThumbProximal: this.vrm.humanoid.getNormalizedBoneNode('leftThumbProximal'),
-            leftThumbIntermediate: this.vrm.humanoid.getNormalizedBoneNode('leftThumbIntermediate'),
-            leftThumbDistal: this.vrm.humanoid.getNormalizedBoneNode('leftThumbDistal'),
-            leftIndexProximal: this.vrm.humanoid.getNormalizedBoneNode('leftIndexProximal'),
-            leftIndexIntermediate: this.vrm.humanoid.getNormalizedBoneNode('leftIndexIntermediate'),
-            leftIndexDistal: this.vrm.humanoid.getNormalizedBoneNode('leftIndexDistal'),
-            leftMiddleProximal: this.vrm.humanoid.getNormalizedBoneNode('leftMiddleProximal'),
-            leftMiddleIntermediate: this.vrm.humanoid.getNormalizedBoneNode('leftMiddleIntermediate'),
-            leftMiddleDistal: this.vrm.humanoid.getNormalizedBoneNode('leftMiddleDistal'),
-            leftRingProximal: this.vrm.humanoid.getNormalizedBoneNode('leftRingProximal'),
-            leftRingIntermediate: this.vrm.humanoid.getNormalizedBoneNode('leftRingIntermediate'),
-            leftRingDistal: this.vrm.humanoid.getNormalizedBoneNode('leftRingDistal'),
-            leftLittleProximal: this.vrm.humanoid.getNormalizedBoneNode('leftLittleProximal'),
-            leftLittleIntermediate: this.vrm.humanoid.getNormalizedBoneNode('leftLittleIntermediate'),
-            leftLittleDistal: this.vrm.humanoid.getNormalizedBoneNode('leftLittleDistal'),
-            
-            // Finger bones - Right hand
-            rightThumbProximal: this.vrm.humanoid.getNormalizedBoneNode('rightThumbProximal'),
-            rightThumbIntermediate: this.vrm.humanoid.getNormalizedBoneNode('rightThumbIntermediate'),
-            rightThumbDistal: this.vrm.humanoid.getNormalizedBoneNode('rightThumbDistal'),
-            rightIndexProximal: this.vrm.humanoid.getNormalizedBoneNode('rightIndexProximal'),
-            rightIndexIntermediate: this.vrm.humanoid.getNormalizedBoneNode('rightIndexIntermediate'),
-            rightIndexDistal: this.vrm.humanoid.getNormalizedBoneNode('rightIndexDistal'),
-            rightMiddleProximal: this.vrm.humanoid.getNormalizedBoneNode('rightMiddleProximal'),
-            rightMiddleIntermediate: this.vrm.humanoid.getNormalizedBoneNode('rightMiddleIntermediate'),
-            rightMiddleDistal: this.vrm.humanoid.getNormalizedBoneNode('rightMiddleDistal'),
-            rightRingProximal: this.vrm.humanoid.getNormalizedBoneNode('rightRingProximal'),
-            rightRingIntermediate: this.vrm.humanoid.getNormalizedBoneNode('rightRingIntermediate'),
-            rightRingDistal: this.vrm.humanoid.getNormalizedBoneNode('rightRingDistal'),
-            rightLittleProximal: this.vrm.humanoid.getNormalizedBoneNode('rightLittleProximal'),
-            rightLittleIntermediate: this.vrm.humanoid.getNormalizedBoneNode('rightLittleIntermediate'),
-            rightLittleDistal: this.vrm.humanoid.getNormalizedBoneNode('rightLittleDistal')
-        };
+    // Keep hair and clothes out of a sphere (or capsule with options.tail) on a humanoid bone or any Object3D,
+    // e.g. addSpringBoneCollider({ bone: 'leftHand', radius: 0.06 }) or { object: tableTop, radius: 0.3 }.
+    // options.radius / offset / tail / group: see SpringBoneController.addCollider. Returns the collider or null.
+    addSpringBoneCollider({ bone = null, object = null, ...options } = {}) {
+        if (!this.springBones) {
+            this.logger.warn('Cannot add collider: model has no spring bones');
+            return null;
+        }
+        
+        const parent = object || (bone && this.vrm.humanoid.getRawBoneNode(bone));
+        if (!parent) {
+            if (bone) this.reportMissingBone(bone, 'collider');
+            return null;
+        }
+        return this.springBones.addCollider(parent, options);
     }
 
-    // Apply bone rotations from VRoid pose data
-    applyBoneRotationsFromVRoidData(bones, boneDefinitions) {
-        console.log('Applying bone rotations from VRoid pose data...');
-        
-        // Map VRoid bone names to VRM bone names
-        const boneNameMapping = {
-            'Hips': 'hips',
-            'Spine': 'spine', 
-            'Chest': 'chest',
-            'UpperChest': 'upperChest',
-            'LeftShoulder': 'leftShoulder',
-            'RightShoulder': 'rightShoulder',
-            'LeftUpperArm': 'leftUpperArm',
-            'RightUpperArm': 'rightUpperArm',
-            'LeftLowerArm': 'leftLowerArm',
-            'RightLowerArm': 'rightLowerArm',
-            'LeftHand': 'leftHand',
-            'RightHand': 'rightHand'
-        };
+    removeSpringBoneCollider(collider) {
+        return this.springBones ? this.springBones.removeCollider(collider) : false;
+    }
 
-        // Apply rotations for mapped bones
-        Object.keys(boneNameMapping).forEach(vroidBoneName => {
-            const vrmBoneName = boneNameMapping[vroidBoneName];
-            const boneData = boneDefinitions[vroidBoneName];
-            
-            if (boneData && bones[vrmBoneName]) {
-                const { x, y, z, w } = boneData;
-                // Apply VRoid coordinate system correction: invert x and y
-                bones[vrmBoneName].quaternion.set(x * -1.0, y * -1.0, z, w);
-                console.log(`Applied VRoid pose to ${vrmBoneName} with coordinate correction`);
+    // Cache the current bone transforms as the rest pose
+    captureRestPose() {
+        const bones = this.getAllBoneReferences();
+        this.restPose = {};
+        
+        Object.keys(bones).forEach(boneName => {
+            const bone = bones[boneName];
+            if (bone) {
+                this.restPose[boneName] = {
+                    bone,
+                    quaternion: bone.quaternion.clone(),
+                    position: bone.position.clone()
+                };
             }
         });
     }
 
-    // Apply natural finger poses (L_Natural/R_Natural equivalent)
-    applyNaturalFingerPoses(bones) {
-        console.log('Applying natural finger poses...');
+    // Proxy bones the animation mixer writes to, named like the normalized bones so clip tracks bind
+    createAnimationRig() {
+        this.animationRig = new THREE.Group();
+        this.animationRigBones = {};
         
-        // Natural relaxed finger pose - slightly curved
-        const naturalFingerCurl = {
-            proximal: { x: 0.0, y: 0.0, z: 0.3 },      // Slight curl at base
-            intermediate: { x: 0.0, y: 0.0, z: 0.4 },  // More curl at middle
-            distal: { x: 0.0, y: 0.0, z: 0.2 }         // Slight curl at tip
-        };
+        Object.keys(this.restPose).forEach(boneName => {
+            const rest = this.restPose[boneName];
+            const proxy = new THREE.Object3D();
+            proxy.name = rest.bone.name;
+            proxy.quaternion.copy(rest.quaternion);
+            proxy.position.copy(rest.position);
+            this.animationRig.add(proxy);
+            this.animationRigBones[boneName] = proxy;
+        });
         
-        // Thumb is positioned differently - more angled
-        const naturalThumbPose = {
-            proximal: { x: 0.2, y: 0.3, z: 0.1 },      // Thumb out and forward
-            intermediate: { x: 0.1, y: 0.0, z: 0.2 },  // Slight bend
-            distal: { x: 0.0, y: 0.0, z: 0.1 }         // Tip curl
-        };
+        this.mixer = new THREE.AnimationMixer(this.animationRig);
+        this.mixer.addEventListener('finished', (event) => this.onAnimationFinished(event));
+    }
 
-        // Apply to left hand fingers
-        const leftFingers = ['Index', 'Middle', 'Ring', 'Little'];
-        leftFingers.forEach(fingerName => {
-            ['Proximal', 'Intermediate', 'Distal'].forEach(segment => {
-                const boneName = `left${fingerName}${segment}`;
-                if (bones[boneName]) {
-                    const pose = naturalFingerCurl[segment.toLowerCase()];
-                    bones[boneName].rotation.set(pose.x, pose.y, pose.z);
-                    console.log(`Applied natural pose to ${boneName}`);
-                }
-            });
+    // Reset every bone to the rest pose - the base layer each frame starts from
+    applyRestPose() {
+        Object.keys(this.restPose).forEach(boneName => {
+            const rest = this.restPose[boneName];
+            rest.bone.quaternion.copy(rest.quaternion);
+            rest.bone.position.copy(rest.position);
         });
+    }
+
+    // Compose a small local rotation on top of whatever the bone currently holds
+    addRotationOffset(bone, x, y, z) {
+        if (!bone) return;
         
-        // Apply to right hand fingers
-        const rightFingers = ['Index', 'Middle', 'Ring', 'Little'];
-        rightFingers.forEach(fingerName => {
-            ['Proximal', 'Intermediate', 'Distal'].forEach(segment => {
-                const boneName = `right${fingerName}${segment}`;
-                if (bones[boneName]) {
-                    const pose = naturalFingerCurl[segment.toLowerCase()];
-                    // Mirror for right hand: invert Y and Z as per documentation
-                    bones[boneName].rotation.set(pose.x, -pose.y, -pose.z);
-                    console.log(`Applied mirrored natural pose to ${boneName}`);
-                }
-            });
-        });
+        this.offsetEuler.set(x, y, z);
+        this.offsetQuaternion.setFromEuler(this.offsetEuler);
+        bone.quaternion.multiply(this.offsetQuaternion);
+    }
 
-        // Apply thumb poses
-        ['Proximal', 'Intermediate', 'Distal'].forEach(segment => {
-            // Left thumb
-            const leftBoneName = `leftThumb${segment}`;
-            if (bones[leftBoneName]) {
-                const pose = naturalThumbPose[segment.toLowerCase()];
-                bones[leftBoneName].rotation.set(pose.x, pose.y, pose.z);
-                console.log(`Applied natural pose to ${leftBoneName}`);
-            }
-            
-            // Right thumb (mirrored)
-            const rightBoneName = `rightThumb${segment}`;
-            if (bones[rightBoneName]) {
-                const pose = naturalThumbPose[segment.toLowerCase()];
-                bones[rightBoneName].rotation.set(pose.x, -pose.y, -pose.z);
-                console.log(`Applied mirrored natural pose to ${rightBoneName}`);
+    // Compose a rotation in the parent's frame - swings a limb around body axes whatever its pose
+    addParentRotationOffset(bone, x, y, z) {
+        if (!bone) return;
+        
+        this.offsetEuler.set(x, y, z);
+        this.offsetQuaternion.setFromEuler(this.offsetEuler);
+        bone.quaternion.premultiply(this.offsetQuaternion);
+    }
+
+    // Setup expression handling - expressions the model marks as overriding blink count as eye-closing
+    setupExpressions() {
+        const expressionManager = this.vrm.expressionManager;
+        if (!expressionManager) {
+            this.logger.warn('VRM has no expressions, emotions and blinking disabled');
+            return;
+        }
+        
+        expressionManager.expressions.forEach(expression => {
+            if (expression.overrideBlink === 'block' && this.emotions.eyeClosure[expression.expressionName] === undefined) {
+                this.emotions.eyeClosure[expression.expressionName] = 1.0;
             }
         });
         
-        // Debug: Count available finger bones
-        const fingerBoneNames = [
-            'leftThumbProximal', 'leftThumbIntermediate', 'leftThumbDistal',
-            'leftIndexProximal', 'leftIndexIntermediate', 'leftIndexDistal',
-            'leftMiddleProximal', 'leftMiddleIntermediate', 'leftMiddleDistal',
-            'leftRingProximal', 'leftRingIntermediate', 'leftRingDistal',
-            'leftLittleProximal', 'leftLittleIntermediate', 'leftLittleDistal',
-            'rightThumbProximal', 'rightThumbIntermediate', 'rightThumbDistal',
-            'rightIndexProximal', 'rightIndexIntermediate', 'rightIndexDistal',
-            'rightMiddleProximal', 'rightMiddleIntermediate', 'rightMiddleDistal',
-            'rightRingProximal', 'rightRingIntermediate', 'rightRingDistal',
-            'rightLittleProximal', 'rightLittleIntermediate', 'rightLittleDistal'
-        ];
-        
-        const availableFingerBones = fingerBoneNames.filter(name => bones[name]).length;
-        console.log(`Natural finger poses applied successfully (${availableFingerBones}/30 finger bones found)`);
+        this.logger.debug('Expressions found:', expressionManager.expressions.map(expression => expression.expressionName).join(', '));
     }
 
-    // Create fallback for non-VRM files
-    createFallbackVRM(gltf) {
-        this.vrm = { 
-            scene: gltf.scene,
-            lookAt: null,
-            update: () => {}
-        };
+    // Load VRoid pose data from file
+    // Throws when the file can't be fetched or parsed
+    async loadVRoidPoseData(posePath = './pose.vroidpose') {
+        this.logger.debug(`Loading VRoid pose data from ${posePath}...`);
+        const poseData = await this.assets.fetchJSON(posePath);
+        this.logger.debug('VRoid pose data loaded successfully:', poseData);
         
-        this.scene.add(this.vrm.scene);
-        this.vrm.scene.position.set(0, -1.15, 0);
-        this.vrm.scene.rotation.y = Math.PI;
-        this.vrm.scene.scale.set(1, 1, 1);
+        return poseData;
     }
 
-    // Create fallback cube
-    createFallbackCube() {
-        const geometry = new THREE.BoxGeometry(0.5, 0.8, 0.3);
-        const material = new THREE.MeshLambertMaterial({ color: 0x00ff88 });
+    // Apply VRoid pose from loaded data
+    // duration > 0 blends from the current pose (seconds), otherwise the pose snaps into place.
+    // Resolves true once the pose is shown (poseApplied), false if it failed (poseError) or was superseded.
+    async applyVRoidPose(posePath = './pose.vroidpose', { duration = 0, easing = 'easeInOut' } = {}) {
+        if (!this.vrm || !this.vrm.humanoid) return false;
+        
+        this.logger.debug('Applying VRoid pose from .vroidpose file...');
+        const changeId = ++this.poseChangeId;
+        
+        // Load pose data from file
+        let vroidPoseData;
+        try {
+            vroidPoseData = await this.loadVRoidPoseData(posePath);
+        } catch (error) {
+            if (changeId !== this.poseChangeId) return false;
+            return this.failPose(posePath, error);
+        }
+        if (changeId !== this.poseChangeId) {
+            this.logger.debug(`Pose ${posePath} superseded by a newer pose change`);
+            return false;
+        }
+        
+        return this.applyVRoidPoseData(vroidPoseData, { duration, easing, posePath });
+    }
+
+    // Apply already loaded .vroidpose data - same options and result as applyVRoidPose.
+    // options.posePath only labels the poseApplied / poseError events.
+    async applyVRoidPoseData(vroidPoseData, { duration = 0, easing = 'easeInOut', posePath = null } = {}) {
+        if (!this.vrm || !this.vrm.humanoid) return false;
+        
+        ++this.poseChangeId;
+        
+        // Get all relevant bone references including fingers
+        const bones = this.getAllBoneReferences();
+        
+        // Extract bone definitions from VRoid pose data
+        const boneDefinitions = vroidPoseData.BoneDefinition;
+        if (!boneDefinitions) {
+            return this.failPose(posePath, new Error('No BoneDefinition found in VRoid pose data'));
+        }
+
+        // Resolve the pose onto detached target bones, starting from the current rest pose
+        const targets = this.createPoseTargets(bones);
+
+        // Apply hand animation presets first so explicit finger bones in the file win
+        this.applyHandAnimationsFromVRoidData(targets, vroidPoseData);
+        this.handAnimations = pickHandAnimations(vroidPoseData);
+
+        // Apply bone rotations from VRoid pose data
+        this.applyBoneRotationsFromVRoidData(targets, boneDefinitions);
+
+        // Older pose files carry no head/neck - keep the slight upward look for those
+        if (targets.head && !boneDefinitions.Head) {
+            targets.head.rotation.x = -0.1; // Slight upward tilt
+        }
+        
+        if (targets.neck && !boneDefinitions.Neck) {
+            targets.neck.rotation.x = -0.05; // Subtle neck support
+        }
+        
+        this.logger.debug('Applied VRoid coordinate system correction: x*-1, y*-1, z, w');
+        this.logger.debug('Model coordinate system: Y-up, Z-forward (toward camera), X-right');
+        
+        if (duration > 0) {
+            const completed = await this.startPoseTransition(targets, duration, easing);
+            if (completed) {
+                this.dispatchAvatarEvent('poseApplied', { posePath, duration });
+            }
+            return completed;
+        }
+        
+        // Snap: the targets become the rest pose, motion layers are added on top next frame
+        this.cancelPoseTransition();
+        Object.keys(targets).forEach(boneName => {
+            this.restPose[boneName].quaternion.copy(targets[boneName].quaternion);
+            this.restPose[boneName].position.copy(targets[boneName].position);
+        });
+        this.applyRestPose();
+        this.resetPhysics();
+        
+        this.logger.debug('VRoid pose from .vroidpose file applied successfully');
+        this.dispatchAvatarEvent('poseApplied', { posePath, duration: 0 });
+        return true;
+    }
+
+    // Report a pose that couldn't be applied - the current pose stays
+    failPose(posePath, error) {
+        this.logger.error(`Error applying pose ${posePath}:`, error);
+        this.dispatchAvatarEvent('poseError', { posePath, error });
+        return false;
+    }
+
+    // Create detached copies of the rest pose so a pose can be resolved before it is shown
+    createPoseTargets(bones) {
+        const targets = {};
+        Object.keys(bones).forEach(boneName => {
+            const rest = this.restPose[boneName];
+            if (bones[boneName] && rest) {
+                const target = new THREE.Object3D();
+                target.quaternion.copy(rest.quaternion);
+                target.position.copy(rest.position);
+                targets[boneName] = target;
+            }
+        });
+        return targets;
+    }
+
+    // Start blending the rest pose of every bone towards the targets
+    startPoseTransition(targets, duration, easing = 'easeInOut') {
+        this.cancelPoseTransition();
+        
+        const from = {};
+        Object.keys(targets).forEach(boneName => {
+            from[boneName] = {
+                quaternion: this.restPose[boneName].quaternion.clone(),
+                position: this.restPose[boneName].position.clone()
+            };
+        });
+        
+        const easingFunction = typeof easing === 'function'
+            ? easing
+            : (EASING_FUNCTIONS[easing] || EASING_FUNCTIONS.easeInOut);
+        
+        this.logger.debug(`Blending to new pose over ${duration}s`);
+        
+        return new Promise((resolve) => {
+            this.poseTransition = {
+                from,
+                targets,
+                duration,
+                elapsed: 0,
+                easing: easingFunction,
+                resolve
+            };
+        });
+    }
+
+    // Stop the running pose transition where it is; its promise resolves with false
+    cancelPoseTransition() {
+        if (!this.poseTransition) return;
+        
+        const { resolve } = this.poseTransition;
+        this.poseTransition = null;
+        resolve(false);
+        this.logger.debug('Pose transition cancelled');
+    }
+
+    // Advance the pose transition, called every frame from animate()
+    updatePoseTransition(deltaTime) {
+        const transition = this.poseTransition;
+        if (!transition) return;
+        
+        transition.elapsed += deltaTime;
+        const progress = Math.min(transition.elapsed / transition.duration, 1);
+        const t = transition.easing(progress);
+        
+        Object.keys(transition.targets).forEach(boneName => {
+            const rest = this.restPose[boneName];
+            const from = transition.from[boneName];
+            const target = transition.targets[boneName];
+            
+            rest.quaternion.slerpQuaternions(from.quaternion, target.quaternion, t);
+            rest.position.lerpVectors(from.position, target.position, t);
+        });
+        
+        if (progress >= 1) {
+            this.poseTransition = null;
+            transition.resolve(true);
+            this.logger.debug('Pose transition complete');
+        }
+    }
+
+    // Get all bone references for pose application (full VRM humanoid, missing bones are null)
+    getAllBoneReferences() {
+        const bones = {};
+        Object.values(VROID_BONE_NAME_MAP).forEach(vrmBoneName => {
+            bones[vrmBoneName] = this.vrm.humanoid.getNormalizedBoneNode(vrmBoneName);
+        });
+        return bones;
+    }
+
+    // Apply bone rotations from VRoid pose data
+    applyBoneRotationsFromVRoidData(bones, boneDefinitions) {
+        this.logger.debug('Applying bone rotations from VRoid pose data...');
+        
+        // Apply rotations for mapped bones
+        let appliedCount = 0;
+        Object.keys(VROID_BONE_NAME_MAP).forEach(vroidBoneName => {
+            const vrmBoneName = VROID_BONE_NAME_MAP[vroidBoneName];
+            const boneData = boneDefinitions[vroidBoneName];
+            
+            if (boneData && bones[vrmBoneName]) {
+                const { x, y, z, w } = boneData;
+                // Apply VRoid coordinate system correction: invert x and y
+                bones[vrmBoneName].quaternion.set(x * -1.0, y * -1.0, z, w);
+                appliedCount++;
+            } else if (boneData) {
+                this.reportMissingBone(vrmBoneName, 'pose', vroidBoneName);
+            }
+        });
+        
+        // HipsPosition is the root translation - same correction mirrors the Z axis
+        if (boneDefinitions.HipsPosition && bones.hips) {
+            const { x, y, z } = boneDefinitions.HipsPosition;
+            bones.hips.position.set(x, y, z * -1.0);
+            this.logger.debug('Applied VRoid hips position as root translation');
+        }
+        
+        this.logger.debug(`Applied VRoid pose to ${appliedCount} bones with coordinate correction`);
+    }
+
+    // Apply LeftHandAnimationName / RightHandAnimationName presets blended by their weights
+    applyHandAnimationsFromVRoidData(bones, vroidPoseData) {
+        const leftName = vroidPoseData.LeftHandAnimationName;
+        const rightName = vroidPoseData.RightHandAnimationName;
+        
+        if (!leftName && !rightName) {
+            // Files without hand animations fall back to the natural curl
+            this.applyNaturalFingerPoses(bones);
+            return;
+        }
+        
+        this.applyHandPreset(bones, 'left', leftName || 'Natural', vroidPoseData.LeftHandAnimationWeight ?? 1.0);
+        this.applyHandPreset(bones, 'right', rightName || 'Natural', vroidPoseData.RightHandAnimationWeight ?? 1.0);
+    }
+
+    // Apply a named hand preset to one hand, weight 0 = open rest pose, 1 = full preset
+    applyHandPreset(bones, side, animationName, weight = 1.0) {
+        const presetName = resolveHandPresetName(animationName);
+        if (!presetName) {
+            this.logger.warn(`Unknown hand animation "${animationName}", using natural pose`);
+        }
+        
+        const rotations = getHandPresetRotations(presetName || 'natural', side);
+        const clampedWeight = THREE.MathUtils.clamp(weight, 0, 1);
+        const rest = new THREE.Quaternion();
+        let appliedCount = 0;
+        
+        Object.keys(rotations).forEach(boneName => {
+            if (bones[boneName]) {
+                bones[boneName].quaternion.copy(rest).slerp(rotations[boneName], clampedWeight);
+                appliedCount++;
+            }
+        });
+        
+        this.logger.debug(`Applied ${side} hand preset "${presetName || 'natural'}" (weight ${clampedWeight}) to ${appliedCount}/15 finger bones`);
+    }
+
+    // Apply natural finger poses (L_Natural/R_Natural equivalent)
+    applyNaturalFingerPoses(bones) {
+        this.logger.debug('Applying natural finger poses...');
+        
+        this.applyHandPreset(bones, 'left', 'L_Natural');
+        this.applyHandPreset(bones, 'right', 'R_Natural');
+        
+        // Debug: Count available finger bones
+        const availableFingerBones = ['left', 'right'].reduce((count, side) => {
+            return count + FINGER_NAMES.reduce((fingerCount, fingerName) => {
+                return fingerCount + FINGER_SEGMENTS[fingerName].filter(segment => bones[`${side}${fingerName}${segment}`]).length;
+            }, 0);
+        }, 0);
+        this.logger.debug(`Natural finger poses applied successfully (${availableFingerBones}/30 finger bones found)`);
+    }
+
+    // Create fallback for non-VRM files
+    createFallbackVRM(gltf) {
+        this.vrm = { 
+            scene: gltf.scene,
+            lookAt: null,
+            update: () => {}
+        };
+        
+        this.scene.add(this.vrm.scene);
+        this.vrm.scene.position.set(0, -1.15, 0);
+        this.vrm.scene.rotation.y = Math.PI;
+        this.vrm.scene.scale.set(1, 1, 1);
+    }
+
+    // Create fallback cube
+    createFallbackCube() {
+        const geometry = new THREE.BoxGeometry(0.5, 0.8, 0.3);
+        const material = new THREE.MeshLambertMaterial({ color: 0x00ff88 });
         const cube = new THREE.Mesh(geometry, material);
         cube.position.set(0, -0.5, 0);
         this.scene.add(cube);
@@ -487,155 +1167,1275 @@ export class VRMAvatar {
             update: () => {}
         };
         
-        console.log('Fallback cube created');
+        this.logger.info('Fallback cube created');
+    }
+
+    // Head tracking input - pointer (mouse, touch, pen) relative to the canvas and device tilt.
+    // The head returns to its idle gaze once the tracker reports no input for its idle timeout.
+    setupInput(options = {}) {
+        this.input = new InputTracker({ element: this.renderer.domElement, ...options });
+        this.addListener(this.input, 'input', (event) => this.setGazeInput(event.detail.x, event.detail.y));
+        this.addListener(this.input, 'idle', () => this.setGazeInput(null));
+        this.input.start();
+    }
+
+    // Ask for device tilt input - call from a tap handler, iOS only allows the prompt there.
+    // Resolves true when tilting the device will turn the head.
+    enableDeviceOrientation() {
+        return this.input ? this.input.requestOrientationPermission() : Promise.resolve(false);
+    }
+
+    // Feed user gaze input from any source (e.g. an eye tracker): -1..1 screen coordinates, y down.
+    // It outranks lookAt targets until no input arrives for gaze.userTimeout seconds; null ends it now.
+    setGazeInput(x, y) {
+        this.gaze.setUserInput(x, y);
+        this.requestRender();
+    }
+
+    // Look at an Object3D, a world position (Vector3 / [x, y, z] / { x, y, z }) or 'camera' (the user).
+    // options.priority: 'poi' (default), 'user' or 'idle'; options.duration: seconds for a glance, omit to hold.
+    // Resolves true when the glance ends, false if another lookAt replaces it at the same priority.
+    lookAt(target, { priority = 'poi', duration = null } = {}) {
+        try {
+            const promise = this.gaze.lookAt(target, { priority, duration });
+            this.requestRender();
+            return promise;
+        } catch (error) {
+            this.logger.error('Cannot look at target:', error);
+            return Promise.resolve(false);
+        }
+    }
+
+    // Return to idle gaze - one priority, or every lookAt when omitted
+    clearLookAt(priority = null) {
+        this.gaze.clearLookAt(priority);
+        this.requestRender();
+    }
+
+    // Animation loop
+    animate(timestamp = performance.now()) {
+        this.animationFrameId = requestAnimationFrame((time) => this.animate(time));
+        
+        // Frame-rate cap - skipped frames leave the clock running, so the next delta covers them
+        if (this.maxFps) {
+            const interval = 1000 / this.maxFps;
+            if (timestamp - this.lastFrameTime < interval - 1) return;
+            this.lastFrameTime = timestamp;
+        }
+        
+        const deltaTime = this.clock.getDelta();
+        const elapsedTime = this.clock.getElapsedTime();
+        
+        // Render on demand - idle breathing and blinking don't keep the GPU awake
+        if (this.renderMode === 'onDemand' && !this.needsRender()) return;
+        this.renderRequested = false;
+        
+        this.updateFrame(deltaTime, elapsedTime);
+    }
+
+    // Advance every motion layer by one frame and render
+    updateFrame(deltaTime, elapsedTime) {
+        this.update(deltaTime, elapsedTime);
+        
+        this.renderer.render(this.scene, this.camera);
+        this.dispatchAvatarEvent('frame', { deltaTime, elapsedTime });
+    }
+
+    // Advance every motion layer by one frame without rendering (an AvatarStage renders all avatars at once)
+    update(deltaTime, elapsedTime) {
+        if (this.vrm && this.poseEditor) {
+            // Editing - hold the authored pose still, no procedural motion on top
+            this.applyRestPose();
+            this.updateExpressions(deltaTime);
+            this.updateVRM(deltaTime);
+        } else if (this.vrm) {
+            // Rest pose first, then additive layers on top
+            this.updatePoseTransition(deltaTime);
+            this.applyRestPose();
+            this.updateAnimations(deltaTime);
+            this.updateRoute(deltaTime);
+            if (!this.reducedMotion) {
+                this.applyNaturalMotion(deltaTime, elapsedTime);
+            }
+            this.updatePointing(deltaTime);
+            this.applyHeadTracking(deltaTime, elapsedTime);
+            this.updateLipSync(deltaTime);
+            this.updateExpressions(deltaTime);
+            
+            // Update VRM
+            this.updateVRM(deltaTime);
+            
+            // In AR the headset or phone moves the camera
+            if (this.mode === 'navigation' && !this.ar) {
+                this.updateFollowCamera(deltaTime);
+            }
+        }
+        
+        if (this.lighting) {
+            this.lighting.update(deltaTime);
+        }
+    }
+
+    // Apply natural breathing and rotation-based swaying motion
+    // Offsets are a pure function of time composed onto the rest pose, so they never accumulate
+    applyNaturalMotion(deltaTime, elapsedTime) {
+        const idleWeight = this.getIdleMotionWeight();
+        if (idleWeight <= 0) return;
+        
+        const breathingIntensity = this.breathingIntensity * idleWeight;
+        const swayIntensity = this.swayIntensity * idleWeight;
+        
+        // Apply subtle breathing motion to chest and upper chest - reduced intensity
+        if (this.spinalBones.chest) {
+            const breathingOffset = Math.sin(elapsedTime * this.breathingSpeed) * breathingIntensity;
+            this.addRotationOffset(this.spinalBones.chest, breathingOffset, 0, 0);
+        }
+        
+        if (this.spinalBones.upperChest) {
+            const upperBreathingOffset = Math.sin(elapsedTime * this.breathingSpeed + 0.5) * breathingIntensity * 0.6;
+            this.addRotationOffset(this.spinalBones.upperChest, upperBreathingOffset, 0, 0);
+        }
+        
+        // Apply rotation-based swaying motion instead of leaning
+        if (this.spinalBones.spine) {
+            // Y-axis rotation (left-right turning) instead of X-axis leaning
+            const spineRotationY = Math.sin(elapsedTime * this.swaySpeed) * swayIntensity * 0.8;
+            const spineRotationZ = Math.cos(elapsedTime * this.swaySpeed * 1.2) * swayIntensity * 0.6;
+            this.addRotationOffset(this.spinalBones.spine, 0, spineRotationY, spineRotationZ);
+        }
+        
+        if (this.spinalBones.hips) {
+            // Hip rotation motion - subtle weight shifting
+            const hipRotationY = Math.sin(elapsedTime * this.swaySpeed + 0.8) * swayIntensity * 0.4;
+            const hipRotationZ = Math.cos(elapsedTime * this.swaySpeed * 0.8) * swayIntensity * 0.3;
+            this.addRotationOffset(this.spinalBones.hips, 0, hipRotationY, hipRotationZ);
+        }
+    }
+
+    // Turn neck, head and eyes towards the gaze target, with natural bobbing, as offsets over the pose
+    applyHeadTracking(deltaTime, elapsedTime) {
+        const lookBone = this.headBone || this.neckBone;
+        const gazeTarget = lookBone ? this.getGazeTarget(deltaTime, lookBone) : null;
+        
+        // Total turn towards the target, blended towards the pointing target while gesturing
+        const angles = gazeTarget ? this.getHeadLookAngles(gazeTarget) : { yaw: 0, pitch: 0 };
+        if (this.pointing && this.pointing.worldTarget && lookBone) {
+            const pointingAngles = this.getHeadLookAngles(this.pointing.worldTarget);
+            angles.yaw = THREE.MathUtils.lerp(angles.yaw, pointingAngles.yaw, this.pointing.weight);
+            angles.pitch = THREE.MathUtils.lerp(angles.pitch, pointingAngles.pitch, this.pointing.weight);
+        }
+        
+        this.headLookSettled = this.updateGazeJoints(angles, deltaTime);
+        
+        // No bob in reduced-motion mode - the head only turns when there is something to look at
+        const bob = this.reducedMotion ? 0 : 1;
+        
+        if (this.headBone) {
+            // Subtle head movement with gentle natural head bob
+            const headBobX = Math.sin(elapsedTime * this.breathingSpeed * 0.8) * 0.015; // Reduced from 0.025
+            const headBobY = Math.cos(elapsedTime * this.breathingSpeed * 0.5) * 0.008; // Reduced from 0.015
+            const joint = this.gazeJoints.head;
+            
+            this.addRotationOffset(this.headBone, joint.pitch + headBobX * bob, joint.yaw + headBobY * bob, 0);
+        }
+        
+        if (this.neckBone) {
+            // Subtle neck movement to support head naturally
+            const neckBobX = Math.sin(elapsedTime * this.breathingSpeed * 0.6) * 0.008; // Reduced from 0.015
+            const neckBobY = Math.cos(elapsedTime * this.breathingSpeed * 0.4) * 0.005; // Reduced from 0.008
+            const joint = this.gazeJoints.neck;
+            
+            this.addRotationOffset(this.neckBone, joint.pitch + neckBobX * bob, joint.yaw + neckBobY * bob, 0);
+        }
+        
+        this.updateEyes(gazeTarget, deltaTime);
+    }
+
+    // World point the gaze controller wants to look at this frame (null: straight ahead)
+    getGazeTarget(deltaTime, lookBone) {
+        const head = lookBone.getWorldPosition(new THREE.Vector3());
+        const forward = new THREE.Vector3(0, 0, this.getFacingYawOffset() === 0 ? 1 : -1)
+            .transformDirection(this.vrm.scene.matrixWorld)
+            .multiplyScalar(2)
+            .add(head);
+        
+        // The user can only be looked at when the camera is within reach of the head turn
+        const toCamera = this.getHeadLookAngles(this.camera.position, { clamp: false });
+        const cameraInView = Math.abs(toCamera.yaw) <= this.headFollowLimitY;
+        
+        return this.gaze.update(deltaTime, { camera: this.camera, head, forward, cameraInView });
+    }
+
+    // Damp each joint towards its share of the total turn; the joints closer to the head take what the
+    // neck can't. Returns true once every joint has settled.
+    updateGazeJoints(angles, deltaTime) {
+        const joints = [];
+        if (this.neckBone) joints.push(this.gazeJoints.neck);
+        if (this.headBone) joints.push(this.gazeJoints.head);
+        
+        let remainingYaw = angles.yaw;
+        let remainingPitch = angles.pitch;
+        let remainingShare = joints.reduce((total, joint) => total + joint.share, 0);
+        let settled = true;
+        
+        joints.forEach((joint, index) => {
+            const last = index === joints.length - 1;
+            const portion = last ? 1 : joint.share / remainingShare;
+            remainingShare -= joint.share;
+            
+            const targetYaw = THREE.MathUtils.clamp(remainingYaw * portion, -joint.yawLimit, joint.yawLimit);
+            const targetPitch = THREE.MathUtils.clamp(remainingPitch * portion, -joint.pitchLimit, joint.pitchLimit);
+            remainingYaw -= targetYaw;
+            remainingPitch -= targetPitch;
+            
+            // Frame-rate independent damping towards the target
+            const damping = 1 - Math.exp(-joint.speed * deltaTime);
+            joint.yaw += (targetYaw - joint.yaw) * damping;
+            joint.pitch += (targetPitch - joint.pitch) * damping;
+            settled = settled && Math.abs(targetYaw - joint.yaw) < 1e-3 && Math.abs(targetPitch - joint.pitch) < 1e-3;
+        });
+        
+        return settled;
+    }
+
+    // Eyes look straight at the target (VRM lookAt limits their range), following it quickly
+    updateEyes(gazeTarget, deltaTime) {
+        if (!this.vrm.lookAt) return;
+        
+        let target = gazeTarget;
+        if (this.pointing && this.pointing.worldTarget) {
+            target = target
+                ? target.clone().lerp(this.pointing.worldTarget, this.pointing.weight)
+                : this.pointing.worldTarget;
+        }
+        
+        if (!target) {
+            this.eyeTarget = null;
+            this.vrm.lookAt.reset();
+            return;
+        }
+        
+        if (!this.eyeTarget) {
+            this.eyeTarget = target.clone();
+        } else {
+            this.eyeTarget.lerp(target, 1 - Math.exp(-this.eyeTrackingSpeed * deltaTime));
+        }
+        this.vrm.lookAt.lookAt(this.eyeTarget);
+    }
+
+    // Head yaw/pitch (normalized bone rotation values) that face a world position, clamped to follow limits
+    getHeadLookAngles(worldPosition, { clamp = true } = {}) {
+        const lookBone = this.headBone || this.neckBone;
+        const headPosition = this.vrm.scene.worldToLocal(lookBone.getWorldPosition(new THREE.Vector3()));
+        const direction = this.vrm.scene.worldToLocal(worldPosition.clone()).sub(headPosition);
+        
+        // VRM 0.x models face -Z in model space, VRM 1.0 models face +Z
+        const facing = this.vrm.meta && this.vrm.meta.metaVersion === '0' ? -1 : 1;
+        const yaw = Math.atan2(direction.x * facing, direction.z * facing);
+        const pitch = Math.atan2(direction.y, Math.hypot(direction.x, direction.z)) * -facing;
+        
+        if (!clamp) return { yaw, pitch };
+        
+        return {
+            yaw: THREE.MathUtils.clamp(yaw, -this.headFollowLimitY, this.headFollowLimitY),
+            pitch: THREE.MathUtils.clamp(pitch, -this.headFollowLimitX, this.headFollowLimitX)
+        };
+    }
+
+    // Point at a world position (Vector3 / [x, y, z]), an Object3D, a screen direction ({ x, y } or
+    // 'left' | 'right' | 'up' | 'down' | 'forward').
+    // options.hand: 'auto' | 'left' | 'right', options.hold: seconds before the arm lowers again
+    // (omit to hold until stopPointing), options.blendTime: fade in/out in seconds.
+    // Resolves true when the gesture ends, false if another pointAt replaces it.
+    pointAt(target, { hand = 'auto', hold = null, blendTime = 0.35 } = {}) {
+        if (!this.vrm || !this.vrm.humanoid) {
+            this.logger.error('Cannot point: VRM not loaded or no humanoid data');
+            return Promise.resolve(false);
+        }
+        
+        const worldTarget = this.resolvePointTarget(target);
+        if (!worldTarget) {
+            this.logger.error('Cannot point: unsupported target', target);
+            return Promise.resolve(false);
+        }
+        
+        const side = hand === 'left' || hand === 'right' ? hand : this.choosePointingHand(worldTarget);
+        const previous = this.pointing;
+        
+        // Retarget the same arm smoothly, otherwise the old arm drops back to the pose
+        if (previous) {
+            previous.resolve(false);
+        }
+        
+        const bones = this.getAllBoneReferences();
+        const chainNames = [`${side}UpperArm`, `${side}LowerArm`, `${side}Hand`];
+        const fingerRotations = getHandPresetRotations('point', side);
+        
+        this.logger.debug(`Pointing with ${side} hand`, worldTarget);
+        
+        return new Promise((resolve) => {
+            this.pointing = {
+                side,
+                target,
+                worldTarget,
+                bones,
+                chainNames,
+                fingerRotations,
+                weight: previous && previous.side === side ? previous.weight : 0,
+                blendTime: Math.max(blendTime, 1e-3),
+                hold,
+                elapsed: 0,
+                releasing: false,
+                resolve,
+                onAimed: null
+            };
+        });
+    }
+
+    // Lower the pointing arm and return head, eyes and fingers to the pose
+    stopPointing() {
+        if (this.pointing) {
+            this.pointing.releasing = true;
+        }
+    }
+
+    // Turn a pointAt target into a world position
+    resolvePointTarget(target) {
+        if (!target) return null;
+        
+        if (target.isObject3D) {
+            return target.getWorldPosition(new THREE.Vector3());
+        }
+        if (target.isVector3) {
+            return target.clone();
+        }
+        if (Array.isArray(target) && target.length === 3) {
+            return new THREE.Vector3().fromArray(target);
+        }
+        
+        if (typeof target === 'object' && !target.isVector2 && typeof target.z === 'number') {
+            return new THREE.Vector3(target.x, target.y, target.z);
+        }
+        
+        // Screen direction - project from the chest along the camera axes
+        const screenDirection = typeof target === 'string' ? SCREEN_DIRECTIONS[target] : target;
+        if (!screenDirection || typeof screenDirection.x !== 'number' || typeof screenDirection.y !== 'number') {
+            return null;
+        }
+        
+        const origin = (this.spinalBones.upperChest || this.spinalBones.chest || this.vrm.scene)
+            .getWorldPosition(new THREE.Vector3());
+        const cameraQuaternion = this.camera.getWorldQuaternion(new THREE.Quaternion());
+        const direction = new THREE.Vector3(screenDirection.x, screenDirection.y, -(screenDirection.z || 0))
+            .applyQuaternion(cameraQuaternion);
+        if (direction.lengthSq() < 1e-8) return null;
+        
+        return origin.addScaledVector(direction.normalize(), this.pointDistance);
+    }
+
+    // Pick the arm whose shoulder is closer to the target
+    choosePointingHand(worldTarget) {
+        const leftShoulder = this.vrm.humanoid.getNormalizedBoneNode('leftUpperArm');
+        const rightShoulder = this.vrm.humanoid.getNormalizedBoneNode('rightUpperArm');
+        if (!leftShoulder) return 'right';
+        if (!rightShoulder) return 'left';
+        
+        const leftDistance = leftShoulder.getWorldPosition(new THREE.Vector3()).distanceToSquared(worldTarget);
+        const rightDistance = rightShoulder.getWorldPosition(new THREE.Vector3()).distanceToSquared(worldTarget);
+        return leftDistance <= rightDistance ? 'left' : 'right';
+    }
+
+    // Solve the pointing arm every frame, called from animate()
+    updatePointing(deltaTime) {
+        const pointing = this.pointing;
+        if (!pointing) return;
+        
+        pointing.elapsed += deltaTime;
+        if (pointing.hold !== null && pointing.hold !== undefined && pointing.elapsed >= pointing.hold) {
+            pointing.releasing = true;
+        }
+        
+        const step = deltaTime / pointing.blendTime;
+        pointing.weight = THREE.MathUtils.clamp(pointing.weight + (pointing.releasing ? -step : step), 0, 1);
+        if (pointing.onAimed && pointing.weight >= 1) {
+            pointing.onAimed(true);
+            pointing.onAimed = null;
+        }
+        
+        if (pointing.releasing && pointing.weight <= 0) {
+            this.pointing = null;
+            if (this.vrm.lookAt) {
+                this.vrm.lookAt.reset();
+            }
+            pointing.resolve(true);
+            this.logger.debug('Pointing gesture finished');
+            return;
+        }
+        
+        // Objects may move - follow them
+        if (pointing.target && pointing.target.isObject3D) {
+            pointing.target.getWorldPosition(pointing.worldTarget);
+        }
+        
+        const bones = pointing.bones;
+        const [upperName, lowerName, handName] = pointing.chainNames;
+        
+        // The bones hold the posed rotations this frame - the gesture blends from those
+        const base = {};
+        [...pointing.chainNames, ...Object.keys(pointing.fingerRotations)].forEach(boneName => {
+            if (bones[boneName]) {
+                base[boneName] = bones[boneName].quaternion.clone();
+            }
+        });
+        const chain = {
+            upper: bones[upperName],
+            lower: bones[lowerName],
+            end: bones[handName],
+            tip: bones[`${pointing.side}IndexProximal`] || bones[`${pointing.side}MiddleProximal`]
+        };
+        
+        this.vrm.scene.updateMatrixWorld(true);
+        
+        // Elbow bends down and slightly away from the body
+        const chestPosition = (this.spinalBones.upperChest || this.spinalBones.chest || this.vrm.scene)
+            .getWorldPosition(new THREE.Vector3());
+        const pole = chain.upper
+            ? chain.upper.getWorldPosition(new THREE.Vector3()).sub(chestPosition).setY(0).normalize().multiplyScalar(0.3)
+            : new THREE.Vector3();
+        pole.y -= 1;
+        
+        if (!solveTwoBoneIK(chain, pointing.worldTarget, pole)) {
+            pointing.chainNames.forEach(boneName => {
+                if (base[boneName]) bones[boneName].quaternion.copy(base[boneName]);
+            });
+            return;
+        }
+        
+        // Blend the solved arm and the point hand shape over the posed rotations
+        const weight = EASING_FUNCTIONS.easeInOut(pointing.weight);
+        pointing.chainNames.forEach(boneName => {
+            const bone = bones[boneName];
+            if (bone && base[boneName]) {
+                const solved = bone.quaternion.clone();
+                bone.quaternion.copy(base[boneName]).slerp(solved, weight);
+            }
+        });
+        
+        Object.keys(pointing.fingerRotations).forEach(boneName => {
+            const bone = bones[boneName];
+            if (bone && base[boneName]) {
+                bone.quaternion.copy(base[boneName]).slerp(pointing.fingerRotations[boneName], weight);
+            }
+        });
+    }
+
+    // Load a VRMA, BVH or Mixamo (FBX/GLB) clip and register it under a name
+    // options.format overrides the extension, options.boneMap maps BVH/FBX bone names to VRM bones
+    async loadAnimation(url, name = url, options = {}) {
+        if (!this.vrm || !this.vrm.humanoid) {
+            this.logger.error('Cannot load animation: VRM not loaded or no humanoid data');
+            return false;
+        }
+        
+        try {
+            this.logger.debug(`Loading animation ${name} from ${url}...`);
+            const animation = await loadAnimationClip(url, this.vrm, { ...options, name });
+            this.animations[name] = { ...animation, url, options };
+            this.logger.info(`Animation ${name} loaded (${this.animations[name].boneNames.length} bones)`);
+            return true;
+        } catch (error) {
+            this.logger.error('Error loading animation:', error);
+            return false;
+        }
+    }
+
+    // Play a loaded clip, crossfading from the current one.
+    // options.loop, options.fadeIn (seconds), options.weight (0..1 over the pose),
+    // options.keepIdle keeps breathing/sway layered on top, options.timeScale.
+    // Resolves true when a one-shot clip finishes or stopAnimation is called, false if replaced.
+    playAnimation(name, { loop = true, fadeIn = 0.3, weight = 1.0, keepIdle = true, timeScale = 1.0 } = {}) {
+        const animation = this.animations[name];
+        if (!animation || !this.mixer) {
+            this.logger.error(`Cannot play animation "${name}": not loaded`);
+            return Promise.resolve(false);
+        }
+        
+        const layer = this.clipLayer;
+        const previousAction = layer.action;
+        const action = this.mixer.clipAction(animation.clip);
+        
+        action.reset();
+        action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+        action.clampWhenFinished = !loop;
+        action.timeScale = timeScale;
+        action.setEffectiveWeight(1.0);
+        action.play();
+        
+        // Crossfade between clips inside the mixer; the layer weight fades against the pose
+        if (previousAction && previousAction !== action && layer.weight > 0) {
+            previousAction.crossFadeTo(action, fadeIn, false);
+            layer.previousBoneNames = layer.boneNames;
+            layer.crossfadeRemaining = fadeIn;
+        } else {
+            if (previousAction && previousAction !== action) {
+                previousAction.stop();
+            }
+            layer.previousBoneNames = [];
+            layer.crossfadeRemaining = 0;
+        }
+        
+        if (layer.resolve) {
+            layer.resolve(false);
+        }
+        
+        this.logger.debug(`Playing animation ${name}`);
+        
+        return new Promise((resolve) => {
+            Object.assign(layer, {
+                action,
+                name,
+                boneNames: animation.boneNames,
+                targetWeight: THREE.MathUtils.clamp(weight, 0, 1),
+                fadeTime: fadeIn,
+                keepIdle,
+                resolve
+            });
+        });
+    }
+
+    // Fade the clip layer out and return to the pose
+    stopAnimation({ fadeOut = 0.3 } = {}) {
+        const layer = this.clipLayer;
+        if (!layer.action) return;
+        
+        layer.targetWeight = 0;
+        layer.fadeTime = fadeOut;
+        if (layer.resolve) {
+            layer.resolve(true);
+            layer.resolve = null;
+        }
+    }
+
+    // One-shot clips hold their last frame while the layer fades back to the pose
+    onAnimationFinished(event) {
+        const layer = this.clipLayer;
+        if (event.action !== layer.action) return;
+        
+        this.logger.debug(`Animation ${layer.name} finished`);
+        this.stopAnimation({ fadeOut: layer.fadeTime });
+    }
+
+    // How much of the procedural idle motion to keep while clips play
+    getIdleMotionWeight() {
+        const layer = this.clipLayer;
+        return layer.action && !layer.keepIdle ? 1 - layer.weight : 1;
+    }
+
+    // Advance the mixer and blend the clip layer over the rest pose, called from animate()
+    updateAnimations(deltaTime) {
+        const layer = this.clipLayer;
+        if (!this.mixer || !layer.action) return;
+        
+        this.mixer.update(deltaTime);
+        
+        const step = layer.fadeTime > 0 ? deltaTime / layer.fadeTime : 1;
+        layer.weight = layer.weight < layer.targetWeight
+            ? Math.min(layer.weight + step, layer.targetWeight)
+            : Math.max(layer.weight - step, layer.targetWeight);
+        
+        if (layer.weight <= 0 && layer.targetWeight <= 0) {
+            this.mixer.stopAllAction();
+            layer.action = null;
+            layer.name = null;
+            layer.boneNames = [];
+            layer.previousBoneNames = [];
+            return;
+        }
+        
+        // Bones of the clip being faded out still blend until the crossfade ends
+        let boneNames = layer.boneNames;
+        if (layer.crossfadeRemaining > 0) {
+            layer.crossfadeRemaining -= deltaTime;
+            boneNames = [...new Set([...layer.boneNames, ...layer.previousBoneNames])];
+        }
+        
+        boneNames.forEach(boneName => {
+            const rest = this.restPose[boneName];
+            const proxy = this.animationRigBones[boneName];
+            if (!rest || !proxy) return;
+            
+            rest.bone.quaternion.slerp(proxy.quaternion, layer.weight);
+            if (boneName === 'hips') {
+                rest.bone.position.lerp(proxy.position, layer.weight);
+            }
+        });
+    }
+
+    // Dispatch one of the documented avatar events
+    dispatchAvatarEvent(type, detail = {}) {
+        this.dispatchEvent(new CustomEvent(type, { detail: { guide: 'avatar', ...detail } }));
+    }
+
+    // Change how much is logged: 'silent', 'error', 'warn', 'info' or 'debug'
+    setLogLevel(level) {
+        this.logger.setLevel(level);
+    }
+
+    // Yaw that turns the model to face +Z - VRM 0.x models are authored facing -Z
+    getFacingYawOffset() {
+        return this.vrm && this.vrm.meta && this.vrm.meta.metaVersion === '0' ? Math.PI : 0;
+    }
+
+    // Current walking heading of the avatar (0 faces +Z)
+    getAvatarHeading() {
+        return this.vrm.scene.rotation.y - this.getFacingYawOffset();
+    }
+
+    // Walk along a polyline route starting from where the avatar stands.
+    // waypoints: Vector3 / [x, y, z] / [x, z] / { x, y, z, pause, decision, name }
+    // options.speed (m/s), options.turnSpeed (rad/s), options.decisionPause (seconds at decision points),
+    // options.animation names a loaded walk clip (procedural gait if not loaded), options.showPath draws the route.
+    // Emits waypointReached / routeComplete; resolves true on arrival, false if stopped or replaced.
+    followRoute(waypoints, { speed = 1.0, turnSpeed = Math.PI, decisionPause = 1.2, animation = 'walk', showPath = true } = {}) {
+        if (!this.vrm) {
+            this.logger.error('Cannot follow route: VRM not loaded');
+            return Promise.resolve(false);
+        }
+        
+        this.stopRoute();
+        
+        let follower;
+        try {
+            follower = new RouteFollower(waypoints, this.vrm.scene.position, this.getAvatarHeading(), { speed, turnSpeed, decisionPause });
+        } catch (error) {
+            this.logger.error('Invalid route:', error);
+            return Promise.resolve(false);
+        }
+        
+        if (showPath && this.navigationFloor) {
+            this.routeLine = createRouteLine(waypoints);
+            this.scene.add(this.routeLine);
+        }
+        
+        this.walkAnimation = this.animations[animation] ? animation : null;
+        this.logger.info(`Following route with ${follower.waypoints.length} waypoints`);
+        
+        return new Promise((resolve) => {
+            this.route = { follower, resolve, clipPlaying: false };
+        });
+    }
+
+    // Guide interface shared with ArrowGuide - point at a destination, null lowers the arm.
+    // Resolves true once the arm is fully raised towards it, false if pointing fails or is replaced first.
+    setTarget(target) {
+        if (!target) {
+            this.stopPointing();
+            return Promise.resolve(true);
+        }
+        
+        const previous = this.pointing;
+        const pointed = this.pointAt(target);
+        const pointing = this.pointing;
+        if (!pointing || pointing === previous) return pointed;
+        
+        return new Promise((resolve) => {
+            pointing.onAimed = resolve;
+            pointed.then(() => resolve(false));
+        });
+    }
+
+    // Stop walking where the avatar stands
+    stopRoute() {
+        const route = this.route;
+        if (!route) return;
+        
+        this.route = null;
+        this.finishRoute(route);
+        route.resolve(false);
+    }
+
+    // Tidy up after a route ends
+    finishRoute(route) {
+        if (route.clipPlaying) {
+            this.stopAnimation();
+        }
+        if (this.routeLine) {
+            this.scene.remove(this.routeLine);
+            this.routeLine = null;
+        }
+    }
+
+    // Move the avatar along the active route and layer the walk cycle, called from animate()
+    updateRoute(deltaTime) {
+        const route = this.route;
+        
+        if (route) {
+            const follower = route.follower;
+            const events = follower.update(deltaTime);
+            
+            // Root motion - the whole model moves and turns
+            this.vrm.scene.position.copy(follower.position);
+            this.vrm.scene.rotation.y = follower.heading + this.getFacingYawOffset();
+            
+            // A walk clip plays only while actually walking, not when turning or pausing
+            if (this.walkAnimation && follower.moving !== route.clipPlaying) {
+                route.clipPlaying = follower.moving;
+                if (follower.moving) {
+                    this.playAnimation(this.walkAnimation, { loop: true, keepIdle: false });
+                } else {
+                    this.stopAnimation();
+                }
+            }
+            
+            events.forEach(event => {
+                if (event.type === 'waypointReached') {
+                    const waypoint = event.waypoint;
+                    this.logger.debug(`Waypoint ${waypoint.index} reached`);
+                    this.dispatchAvatarEvent('waypointReached', {
+                        index: waypoint.index,
+                        name: waypoint.name,
+                        decision: waypoint.decision,
+                        position: waypoint.position.clone()
+                    });
+                } else if (event.type === 'routeComplete') {
+                    this.logger.info('Route complete');
+                    this.route = null;
+                    this.finishRoute(route);
+                    this.dispatchAvatarEvent('routeComplete', { position: follower.position.clone() });
+                    route.resolve(true);
+                }
+            });
+        }
+        
+        // Procedural gait fades in and out with walking
+        const walking = !!(route && route.follower.moving && !this.walkAnimation);
+        const blend = Math.min(deltaTime * 6.0, 1);
+        this.walkWeight += ((walking ? 1 : 0) - this.walkWeight) * blend;
+        if (walking) {
+            this.walkPhase += route.follower.speed * deltaTime / this.strideLength * Math.PI * 2;
+        }
+        
+        if (this.walkWeight > 0.001) {
+            this.applyWalkCycle(this.walkWeight);
+        }
+    }
+
+    // Simple walk cycle - legs and arms swing in opposition, knees bend on the forward swing
+    applyWalkCycle(weight) {
+        const humanoid = this.vrm.humanoid;
+        if (!humanoid) return;
+        
+        // Forward is -Z in the normalized rig of VRM 0.x models and +Z for VRM 1.0
+        const facing = this.vrm.meta && this.vrm.meta.metaVersion === '0' ? -1 : 1;
+        const swing = Math.sin(this.walkPhase);
+        const stride = Math.cos(this.walkPhase);
+        
+        const legSwing = 0.45 * weight;
+        const kneeBend = 0.6 * weight;
+        const armSwing = 0.3 * weight;
+        
+        this.addParentRotationOffset(humanoid.getNormalizedBoneNode('leftUpperLeg'), -facing * legSwing * swing, 0, 0);
+        this.addParentRotationOffset(humanoid.getNormalizedBoneNode('rightUpperLeg'), facing * legSwing * swing, 0, 0);
+        this.addParentRotationOffset(humanoid.getNormalizedBoneNode('leftLowerLeg'), facing * kneeBend * Math.max(stride, 0), 0, 0);
+        this.addParentRotationOffset(humanoid.getNormalizedBoneNode('rightLowerLeg'), facing * kneeBend * Math.max(-stride, 0), 0, 0);
+        
+        this.addParentRotationOffset(humanoid.getNormalizedBoneNode('leftUpperArm'), facing * armSwing * swing, 0, 0);
+        this.addParentRotationOffset(humanoid.getNormalizedBoneNode('rightUpperArm'), -facing * armSwing * swing, 0, 0);
+        
+        // Hips dip between steps
+        const hips = this.spinalBones.hips;
+        if (hips && !this.reducedMotion) {
+            hips.position.y -= 0.02 * weight * (1 - Math.abs(swing));
+        }
+    }
+
+    // Third-person camera that trails the avatar in navigation mode
+    updateFollowCamera(deltaTime) {
+        const position = this.vrm.scene.position;
+        const blend = 1 - Math.exp(-this.followCameraSpeed * deltaTime);
+        
+        this.followCameraGoal.copy(position).add(this.followCameraOffset);
+        this.camera.position.lerp(this.followCameraGoal, blend);
+        this.followCameraSettled = this.camera.position.distanceToSquared(this.followCameraGoal) < 1e-6;
+        
+        this.followCameraFocus.lerp(this.followCameraGoal.copy(position).setY(position.y + 1.0), blend);
+        this.camera.lookAt(this.followCameraFocus);
+        
+        // Keep the shadow-casting light over the avatar
+        if (this.lighting) {
+            this.lighting.setAnchor(position);
+        }
+    }
+
+    // Start a WebXR immersive-ar session on the existing renderer and stand the avatar on the real floor.
+    // The first floor hit places the avatar facing the viewer (options.autoPlace), a tap moves it to the reticle;
+    // an anchor keeps it there and the shadow plane follows the detected floor.
+    // options.xr: XRSystem (default navigator.xr - a mock XR device or the WebXR emulator works too),
+    // options.domOverlay: element kept over the camera view (subtitles, buttons).
+    // Resolves true once the session runs, false when AR isn't available.
+    async enterAR({ xr = globalThis.navigator && navigator.xr, domOverlay = null, autoPlace = true } = {}) {
+        if (this.ar) return true;
+        if (!this.renderer || !this.vrm) {
+            this.logger.error('Cannot enter AR: avatar not initialized');
+            return false;
+        }
+        if (!await isARSupported(xr)) {
+            this.logger.warn('immersive-ar sessions are not supported on this device');
+            return false;
+        }
+        
+        let session;
+        try {
+            session = await xr.requestSession('immersive-ar', {
+                requiredFeatures: ['hit-test'],
+                optionalFeatures: domOverlay ? ['anchors', 'dom-overlay'] : ['anchors'],
+                ...(domOverlay ? { domOverlay: { root: domOverlay } } : {})
+            });
+        } catch (error) {
+            this.logger.error('Could not start AR session:', error);
+            return false;
+        }
+        
+        // Everything AR changes, so exitAR can put it back
+        const restore = {
+            position: this.vrm.scene.position.clone(),
+            rotationY: this.vrm.scene.rotation.y,
+            cameraPosition: this.camera.position.clone(),
+            cameraQuaternion: this.camera.quaternion.clone(),
+            background: this.scene.background,
+            floorVisible: this.navigationFloor ? this.navigationFloor.visible : false,
+            lightAnchor: this.lighting ? this.lighting.anchor.clone() : null,
+            shadowPlane: this.shadowPlane
+                ? { position: this.shadowPlane.position.clone(), quaternion: this.shadowPlane.quaternion.clone(), visible: this.shadowPlane.visible }
+                : null
+        };
+        
+        this.stopLoop();
+        this.renderer.xr.enabled = true;
+        this.renderer.xr.setReferenceSpaceType('local');
+        
+        let tracker;
+        try {
+            await this.renderer.xr.setSession(session);
+            tracker = new ARFloorTracker(session, this.renderer.xr.getReferenceSpace());
+            await tracker.init();
+        } catch (error) {
+            this.logger.error('Could not set up AR hit-testing:', error);
+            session.end().catch(() => {});
+            this.renderer.xr.enabled = false;
+            this.startLoop();
+            return false;
+        }
+        
+        // The camera feed is the background; the real floor replaces the grid
+        this.scene.background = null;
+        if (this.navigationFloor) this.navigationFloor.visible = false;
+        if (this.shadowPlane) this.shadowPlane.visible = false;
+        this.vrm.scene.visible = false;
+        
+        const reticle = createReticle();
+        this.scene.add(reticle);
+        
+        this.ar = { session, tracker, reticle, restore, autoPlace, placed: false };
+        session.addEventListener('select', () => this.placeInAR());
+        session.addEventListener('end', () => this.finishAR());
+        
+        this.renderer.setAnimationLoop((time, frame) => this.animateXR(frame));
+        this.logger.info('AR session started');
+        this.dispatchAvatarEvent('arstart', { session });
+        return true;
+    }
+
+    // End the AR session and return to the page view; resolves once it has ended
+    async exitAR() {
+        if (!this.ar) return;
+        
+        await this.ar.session.end();
+    }
+
+    // XR frame loop - XR wants a frame every display refresh, so there is no cap or on-demand skipping
+    animateXR(frame) {
+        const deltaTime = this.clock.getDelta();
+        const elapsedTime = this.clock.getElapsedTime();
+        
+        if (frame && this.ar) {
+            this.updateARPlacement(frame);
+        }
+        this.updateFrame(deltaTime, elapsedTime);
+    }
+
+    // Track the floor under the reticle and follow the anchor as tracking refines it
+    updateARPlacement(frame) {
+        const ar = this.ar;
+        const seesFloor = ar.tracker.update(frame);
+        
+        ar.reticle.visible = seesFloor;
+        if (seesFloor) {
+            ar.reticle.matrix.copy(ar.tracker.hitMatrix);
+            if (!ar.placed && ar.autoPlace) {
+                this.placeInAR();
+            }
+        }
+        
+        // A walking avatar moves itself; otherwise it stays on its anchor
+        const anchorMatrix = ar.tracker.getAnchorMatrix(frame);
+        if (anchorMatrix && !this.route) {
+            this.alignToARFloor(anchorMatrix);
+        }
+    }
+
+    // Stand the avatar on the floor under the reticle, facing the viewer
+    placeInAR() {
+        const ar = this.ar;
+        if (!ar || !this.vrm || !ar.tracker.lastHit) return false;
+        
+        this.stopRoute();
+        
+        const position = new THREE.Vector3().setFromMatrixPosition(ar.tracker.hitMatrix);
+        const viewer = this.renderer.xr.getCamera().getWorldPosition(new THREE.Vector3());
+        const heading = Math.atan2(viewer.x - position.x, viewer.z - position.z);
+        
+        this.vrm.scene.rotation.set(0, heading + this.getFacingYawOffset(), 0);
+        this.vrm.scene.visible = true;
+        this.alignToARFloor(ar.tracker.hitMatrix);
+        this.resetPhysics();
+        if (this.shadowPlane) this.shadowPlane.visible = true;
+        
+        ar.placed = true;
+        ar.tracker.anchorCurrentHit().then(anchored => {
+            if (anchored) this.logger.debug('AR placement anchored');
+        });
+        
+        this.dispatchAvatarEvent('arplaced', { position: position.clone(), heading });
+        return true;
+    }
+
+    // Move the avatar, its shadow plane and the shadow light onto a floor pose (a matrix in the XR reference space)
+    alignToARFloor(floorMatrix) {
+        const position = this.vrm.scene.position.setFromMatrixPosition(floorMatrix);
+        
+        if (this.shadowPlane) {
+            // The pose's Y axis is the floor normal; the plane lies in its XY plane
+            this.shadowPlane.quaternion.setFromRotationMatrix(floorMatrix)
+                .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2));
+            this.shadowPlane.position.copy(position).addScaledVector(new THREE.Vector3().setFromMatrixColumn(floorMatrix, 1), 0.001);
+        }
+        
+        // The shadow light travels with the avatar, as in navigation mode
+        if (this.lighting) {
+            this.lighting.setAnchor(position);
+        }
+    }
+
+    // Session ended (exitAR, the system UI or dispose) - put the page view back
+    finishAR() {
+        const ar = this.ar;
+        if (!ar) return;
+        this.ar = null;
+        
+        ar.tracker.dispose();
+        this.scene.remove(ar.reticle);
+        disposeObject(ar.reticle);
+        
+        this.renderer.setAnimationLoop(null);
+        this.renderer.xr.enabled = false;
+        
+        const restore = ar.restore;
+        this.scene.background = restore.background;
+        if (this.navigationFloor) this.navigationFloor.visible = restore.floorVisible;
+        if (this.shadowPlane && restore.shadowPlane) {
+            this.shadowPlane.position.copy(restore.shadowPlane.position);
+            this.shadowPlane.quaternion.copy(restore.shadowPlane.quaternion);
+            this.shadowPlane.visible = restore.shadowPlane.visible;
+        }
+        if (this.vrm) {
+            this.vrm.scene.visible = true;
+            this.vrm.scene.position.copy(restore.position);
+            this.vrm.scene.rotation.set(0, restore.rotationY, 0);
+            this.resetPhysics();
+        }
+        this.camera.position.copy(restore.cameraPosition);
+        this.camera.quaternion.copy(restore.cameraQuaternion);
+        if (this.lighting) {
+            this.lighting.setAnchor(restore.lightAnchor);
+        }
+        
+        this.logger.info('AR session ended');
+        this.dispatchAvatarEvent('arend', {});
+        
+        if (!this.disposed) {
+            this.onWindowResize();
+            this.applyFraming();
+            if (!this.paused && !document.hidden) {
+                this.startLoop();
+            }
+        }
+    }
+
+    // Get (or create) the lip sync driver
+    getLipSync() {
+        if (!this.lipSync) {
+            // Agents on a stage share its AudioContext, so they can speak through the same media element
+            this.lipSync = new LipSync({ logger: this.logger, audioContext: this.stage ? this.stage.getAudioContext() : null });
+        }
+        return this.lipSync;
+    }
+
+    // Speak an audio source with lip sync (HTMLMediaElement, AudioBuffer, ArrayBuffer, Blob/File or URL)
+    // Resolves when playback ends
+    async speak(audioSourceOrBuffer) {
+        try {
+            return await this.getLipSync().speak(audioSourceOrBuffer);
+        } catch (error) {
+            this.logger.error('Error playing speech audio:', error);
+            return false;
+        }
     }
 
-    // Update mouse position
-    updateMousePosition(event) {
-        this.mouseX = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouseY = (event.clientY / window.innerHeight) * 2 - 1;
+    // Lip-sync an <audio>/<video> element that the page plays itself
+    attachAudio(mediaElement) {
+        this.getLipSync().attachAudio(mediaElement);
     }
 
-    // Animation loop
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        
-        const deltaTime = this.clock.getDelta();
-        const elapsedTime = this.clock.getElapsedTime();
-        
-        if (this.vrm) {
-            this.applyNaturalMotion(deltaTime, elapsedTime);
-            this.applyHeadTracking(deltaTime, elapsedTime);
-            
-            // Update VRM
-            this.vrm.update(deltaTime);
+    // Lip-sync from viseme/phoneme timestamps, e.g. from an offline TTS engine
+    // cues: [{ time, duration?, viseme | phoneme, weight? }], options.audio: optional matching audio
+    async speakWithTimings(cues, options = {}) {
+        try {
+            return await this.getLipSync().speakWithTimings(cues, options);
+        } catch (error) {
+            this.logger.error('Error playing timed speech:', error);
+            return false;
         }
-        
-        this.renderer.render(this.scene, this.camera);
     }
 
-    // Apply natural breathing and rotation-based swaying motion
-    applyNaturalMotion(deltaTime, elapsedTime) {
-        // Apply subtle breathing motion to chest and upper chest - reduced intensity
-        if (this.spinalBones.chest) {
-            const breathingOffset = Math.sin(elapsedTime * this.breathingSpeed) * this.breathingIntensity;
-            this.spinalBones.chest.rotation.x += breathingOffset * deltaTime;
+    // Stop speaking and close the mouth
+    stopSpeaking() {
+        if (this.lipSync) {
+            this.lipSync.stop();
         }
+    }
+
+    // Push mouth weights to the VRM expressions every frame
+    updateLipSync(deltaTime) {
+        if (!this.lipSync || !this.vrm.expressionManager) return;
         
-        if (this.spinalBones.upperChest) {
-            const upperBreathingOffset = Math.sin(elapsedTime * this.breathingSpeed + 0.5) * this.breathingIntensity * 0.6;
-            this.spinalBones.upperChest.rotation.x += upperBreathingOffset * deltaTime;
+        const weights = this.lipSync.update(deltaTime);
+        VISEME_NAMES.forEach(name => {
+            this.vrm.expressionManager.setValue(name, weights[name]);
+        });
+    }
+
+    // Crossfade to an emotion: 'happy', 'sad', 'surprised', 'relaxed', 'angry' or a custom expression name.
+    // 'neutral' (or null) fades every emotion out. Resolves true when the fade completes.
+    setEmotion(name, weight = 1.0, { fadeMs = 300 } = {}) {
+        const expressionManager = this.vrm && this.vrm.expressionManager;
+        if (name && name !== 'neutral' && expressionManager && !expressionManager.getExpression(name)) {
+            this.logger.warn(`Expression "${name}" not found on this VRM`);
+            return Promise.resolve(false);
         }
         
-        // Apply rotation-based swaying motion instead of leaning
-        if (this.spinalBones.spine) {
-            // Y-axis rotation (left-right turning) instead of X-axis leaning
-            const spineRotationY = Math.sin(elapsedTime * this.swaySpeed) * this.swayIntensity * 0.8;
-            const spineRotationZ = Math.cos(elapsedTime * this.swaySpeed * 1.2) * this.swayIntensity * 0.6;
-            this.spinalBones.spine.rotation.y += spineRotationY * deltaTime;
-            this.spinalBones.spine.rotation.z += spineRotationZ * deltaTime;
-        }
+        this.logger.debug(`Setting emotion: ${name || 'neutral'} (${weight}) over ${fadeMs}ms`);
+        return this.emotions.setEmotion(name, weight, { fadeMs });
+    }
+
+    // Fade back to a neutral face
+    clearEmotion({ fadeMs = 300 } = {}) {
+        return this.setEmotion('neutral', 0, { fadeMs });
+    }
+
+    // Turn procedural blinking on or off
+    setBlinking(enabled) {
+        this.emotions.blinkEnabled = enabled;
+    }
+
+    // Push emotion and blink weights to the VRM expressions every frame
+    updateExpressions(deltaTime) {
+        const weights = this.emotions.update(deltaTime);
+        if (!this.vrm.expressionManager) return;
         
-        if (this.spinalBones.hips) {
-            // Hip rotation motion - subtle weight shifting
-            const hipRotationY = Math.sin(elapsedTime * this.swaySpeed + 0.8) * this.swayIntensity * 0.4;
-            const hipRotationZ = Math.cos(elapsedTime * this.swaySpeed * 0.8) * this.swayIntensity * 0.3;
-            this.spinalBones.hips.rotation.y += hipRotationY * deltaTime;
-            this.spinalBones.hips.rotation.z += hipRotationZ * deltaTime;
+        Object.keys(weights).forEach(name => {
+            this.vrm.expressionManager.setValue(name, weights[name]);
+        });
+    }
+
+    // Handle window and container resize
+    onWindowResize() {
+        const { width, height } = this.getViewportSize();
+        const size = this.renderer.getSize(new THREE.Vector2());
+        if (size.x === width && size.y === height) return;
+        
+        this.requestRender();        
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+        
+        // The fit depends on the aspect ratio
+        this.applyFraming();
+    }
+
+    // Frame the camera on a preset: 'fullBody', 'upperBody' or 'face'
+    setFraming(preset) {
+        if (!FRAMING_PRESETS[preset]) {
+            this.logger.error(`Unknown framing preset: ${preset} (available: ${Object.keys(FRAMING_PRESETS).join(', ')})`);
+            return false;
         }
+        
+        this.framing = { preset };
+        return this.applyFraming();
     }
 
-    // Apply head tracking with natural bobbing
-    applyHeadTracking(deltaTime, elapsedTime) {
-        if (this.headBone || this.neckBone) {
-            const targetRotationY = this.mouseX * 0.3; // Horizontal head turn
-            const targetRotationX = (-this.mouseY * 0.2) - 0.1; // Vertical head tilt with upward bias
-            
-            if (this.headBone) {
-                // Subtle head movement with gentle natural head bob
-                const headBobX = Math.sin(elapsedTime * this.breathingSpeed * 0.8) * 0.015; // Reduced from 0.025
-                const headBobY = Math.cos(elapsedTime * this.breathingSpeed * 0.5) * 0.008; // Reduced from 0.015
-                const targetX = targetRotationX + headBobX;
-                const targetY = targetRotationY + headBobY;
-                
-                this.headBone.rotation.y = THREE.MathUtils.lerp(this.headBone.rotation.y, targetY, 0.1);
-                this.headBone.rotation.x = THREE.MathUtils.lerp(this.headBone.rotation.x, targetX, 0.1);
+    // Frame the camera on a single bone, e.g. frameBone('head') or frameBone('rightHand', { padding: 3 })
+    frameBone(boneName, { padding = 2.0 } = {}) {
+        this.framing = { bone: boneName, padding };
+        return this.applyFraming();
+    }
+
+    // Re-fit the camera to the current framing - sizes come from the bones, so any model height fits.
+    // The navigation follow camera takes over the camera in navigation mode.
+    applyFraming() {
+        if (!this.framing || !this.vrm || !this.vrm.humanoid || this.mode === 'navigation') return false;
+        
+        const humanoid = this.vrm.humanoid;
+        this.vrm.scene.updateMatrixWorld(true);
+        
+        const points = [];
+        const addBone = (boneName) => {
+            const bone = humanoid.getNormalizedBoneNode(boneName);
+            if (bone) points.push(bone.getWorldPosition(new THREE.Vector3()));
+            return bone;
+        };
+        
+        let padding;
+        if (this.framing.bone) {
+            if (!addBone(this.framing.bone)) {
+                this.logger.error(`Cannot frame bone: ${this.framing.bone} not found`);
+                return false;
             }
-            
-            if (this.neckBone) {
-                // Subtle neck movement to support head naturally
-                const neckRotationY = targetRotationY * 0.5;
-                const neckRotationX = (targetRotationX * 0.5) - 0.05; // Maintain upward tilt
-                const neckBobX = Math.sin(elapsedTime * this.breathingSpeed * 0.6) * 0.008; // Reduced from 0.015
-                const neckBobY = Math.cos(elapsedTime * this.breathingSpeed * 0.4) * 0.005; // Reduced from 0.008
-                
-                this.neckBone.rotation.y = THREE.MathUtils.lerp(this.neckBone.rotation.y, neckRotationY + neckBobY, 0.08);
-                this.neckBone.rotation.x = THREE.MathUtils.lerp(this.neckBone.rotation.x, neckRotationX + neckBobX, 0.08);
+            // A single point - give it a size relative to the model
+            const radius = this.getHeadHeight() * 0.6;
+            points.push(points[0].clone().addScalar(radius), points[0].clone().addScalar(-radius));
+            padding = this.framing.padding;
+        } else {
+            const preset = FRAMING_PRESETS[this.framing.preset];
+            preset.bones.forEach(addBone);
+            if (preset.bones.includes('head')) {
+                points.push(this.getHeadTopPosition());
             }
+            if (preset.includeFeet) {
+                points.push(this.vrm.scene.getWorldPosition(new THREE.Vector3()));
+            }
+            padding = preset.padding;
         }
-        // Fallback: Use VRM lookAt for eye movement only if no head bones
-        else if (this.vrm.lookAt) {
-            const lookAtTarget = new THREE.Vector3(
-                this.mouseX * 1.5,
-                this.mouseY * 1.5,
-                this.camera.position.z - 1
-            );
-            this.vrm.lookAt.lookAt(lookAtTarget);
-        }
+        
+        if (points.length === 0) return false;
+        
+        // Keep the current horizontal viewing direction and fit the points in the camera's plane
+        const viewDirection = this.camera.getWorldDirection(new THREE.Vector3()).setY(0);
+        if (viewDirection.lengthSq() < 1e-6) viewDirection.set(0, 0, -1);
+        viewDirection.normalize();
+        const up = new THREE.Vector3(0, 1, 0);
+        const right = new THREE.Vector3().crossVectors(viewDirection, up).normalize();
+        
+        const box = new THREE.Box3();
+        points.forEach(point => box.expandByPoint(new THREE.Vector3(point.dot(right), point.y, point.dot(viewDirection))));
+        const extent = box.getSize(new THREE.Vector3());
+        const middle = box.getCenter(new THREE.Vector3());
+        
+        const center = new THREE.Vector3()
+            .addScaledVector(right, middle.x)
+            .addScaledVector(viewDirection, middle.z)
+            .setY(middle.y);
+        
+        const halfHeight = extent.y / 2 * padding;
+        const halfWidth = Math.max(extent.x / 2 * padding, halfHeight * 0.35);
+        const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        const distance = Math.max(halfHeight / tanHalfFov, halfWidth / (tanHalfFov * this.camera.aspect)) + extent.z / 2;
+        
+        this.camera.position.copy(center).addScaledVector(viewDirection, -distance);
+        this.camera.lookAt(center);
+        return true;
     }
 
-    // Handle window resize
-    onWindowResize() {
-        this.renderer.setSize(200, 480);
+    // Head size from the neck-to-head distance, so framing works for any model scale
+    getHeadHeight() {
+        const humanoid = this.vrm.humanoid;
+        const head = humanoid.getNormalizedBoneNode('head');
+        const neck = humanoid.getNormalizedBoneNode('neck');
+        if (!head || !neck) return 0.2;
+        
+        return head.getWorldPosition(new THREE.Vector3()).distanceTo(neck.getWorldPosition(new THREE.Vector3())) * 2.0;
+    }
+
+    // Approximate top of the head (including hair volume)
+    getHeadTopPosition() {
+        const head = this.vrm.humanoid.getNormalizedBoneNode('head');
+        return head.getWorldPosition(new THREE.Vector3()).add(new THREE.Vector3(0, this.getHeadHeight(), 0));
     }
 
     // Test different body rotations to find correct coordinate system
     testRotation(rotationY = 0) {
         if (this.vrm && this.vrm.scene) {
             this.vrm.scene.rotation.y = rotationY;
-            console.log(`Testing body rotation: ${rotationY} radians (${(rotationY * 180 / Math.PI).toFixed(1)}°)`);
+            this.logger.debug(`Testing body rotation: ${rotationY} radians (${(rotationY * 180 / Math.PI).toFixed(1)}°)`);
+        }
+    }
+
+    // Pose editing mode - click a bone handle and turn it with the rotation gizmo.
+    // Breathing, gaze, pointing and clips pause so the edited pose holds still; edits go to the rest pose.
+    // options: see PoseEditor. Returns the editor (undo, redo, mirrorPose, exportPose, downloadPose).
+    enablePoseEditor(options = {}) {
+        if (!this.vrm || !this.vrm.humanoid) {
+            this.logger.error('Cannot edit pose: VRM not loaded or no humanoid data');
+            return null;
         }
+        if (this.poseEditor) return this.poseEditor;
+        
+        // Start from the settled pose, not half way through a blend or gesture
+        this.cancelPoseTransition();
+        this.stopPointing();
+        this.stopAnimation({ fadeOut: 0 });
+        
+        this.poseEditor = new PoseEditor(this, options);
+        this.poseEditor.enable();
+        return this.poseEditor;
+    }
+
+    disablePoseEditor() {
+        if (!this.poseEditor) return;
+        
+        this.poseEditor.disable();
+        this.poseEditor = null;
     }
 
     // Load and apply a different pose file dynamically
-    async changePose(posePath) {
+    // options.duration (seconds) and options.easing ('linear', 'easeIn', 'easeOut', 'easeInOut',
+    // 'smoothstep' or a function) control the blend; resolves false if another change interrupts it
+    async changePose(posePath, { duration = 0.6, easing = 'easeInOut' } = {}) {
         if (!this.vrm || !this.vrm.humanoid) {
-            console.error('Cannot change pose: VRM not loaded or no humanoid data');
+            this.logger.error('Cannot change pose: VRM not loaded or no humanoid data');
             return false;
         }
         
-        console.log(`Changing pose to: ${posePath}`);
-        await this.applyVRoidPose(posePath);
-        return true;
+        this.logger.info(`Changing pose to: ${posePath}`);
+        this.currentPosePath = posePath;
+        const completed = await this.applyVRoidPose(posePath, { duration, easing });
+        return completed === true;
     }
 
-    // Adjust lighting intensity for different effects
+    // Adjust lighting intensity for different effects - scales the current preset
     adjustLighting(intensity = 1.0) {
-        console.log(`Adjusting lighting intensity to ${intensity}`);
-        
-        this.scene.traverse((child) => {
-            if (child.isDirectionalLight) {
-                // Scale all directional lights
-                child.intensity = child.userData.originalIntensity * intensity;
-            } else if (child.isAmbientLight) {
-                // Scale ambient light more conservatively
-                child.intensity = child.userData.originalIntensity * (0.5 + intensity * 0.5);
-            }
-        });
-    }
-
-    // Store original light intensities for adjustment
-    storeLightIntensities() {
-        this.scene.traverse((child) => {
-            if (child.isLight) {
-                child.userData.originalIntensity = child.intensity;
-            }
-        });
+        this.logger.debug(`Adjusting lighting intensity to ${intensity}`);
+        
+        if (this.lighting) {
+            this.lighting.setBrightness(intensity);
+            this.requestRender();
+        }
     }
 
     // Adjust natural motion intensity
     adjustMotion(intensity = 1.0) {
-        console.log(`Adjusting natural motion intensity to ${intensity}`);
+        this.logger.debug(`Adjusting natural motion intensity to ${intensity}`);
+        this.motionIntensity = intensity;
         
         // Store original values if not stored
         if (!this.originalBreathingIntensity) {
@@ -647,11 +2447,211 @@ export class VRMAvatar {
         this.breathingIntensity = this.originalBreathingIntensity * intensity;
         this.swayIntensity = this.originalSwayIntensity * intensity;
         
-        console.log(`Breathing intensity: ${this.breathingIntensity.toFixed(3)}, Sway intensity: ${this.swayIntensity.toFixed(3)}`);
+        this.logger.debug(`Breathing intensity: ${this.breathingIntensity.toFixed(3)}, Sway intensity: ${this.swayIntensity.toFixed(3)}`);
+    }
+
+    // Reduced-motion mode for motion-sensitive users: the avatar holds its pose - no breathing, sway, head bob,
+    // idle glances or hip dip while walking. Gestures, walking, speech and deliberate looks still play.
+    // true / false, or 'auto' to follow the system's prefers-reduced-motion setting as it changes.
+    setReducedMotion(enabled = 'auto') {
+        if (this.stopWatchingReducedMotion) {
+            this.stopWatchingReducedMotion();
+            this.stopWatchingReducedMotion = null;
+        }
+        
+        if (enabled === 'auto') {
+            this.stopWatchingReducedMotion = watchReducedMotion((reduced) => this.applyReducedMotion(reduced));
+        } else {
+            this.applyReducedMotion(!!enabled);
+        }
+    }
+
+    applyReducedMotion(reduced) {
+        if (reduced === this.reducedMotion) return;
+        
+        this.reducedMotion = reduced;
+        this.gaze.wanderEnabled = !reduced;
+        this.gaze.wanderOffset.set(0, 0);
+        this.headLookSettled = false;
+        this.requestRender();
+        this.logger.info(`Reduced motion ${reduced ? 'on' : 'off'}`);
+        this.dispatchAvatarEvent('motionchange', { reducedMotion: reduced });
+    }
+
+    // Accessible name of the canvas - screen readers present it as an image with this text.
+    // A stage labels its own canvas, so this only stores the label for hosted avatars.
+    setAccessibleLabel(label) {
+        this.accessibleLabel = label;
+        
+        const canvas = this.renderer && this.renderer.domElement;
+        if (!canvas || this.stage) return;
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', label);
+    }
+
+    // Snapshot of everything needed to reproduce the avatar: model URL, the authored pose (every bone as
+    // VRoid BoneDefinition quaternions) and its hand presets, expression weights, lighting, motion intensity
+    // and camera framing.
+    // Procedural motion (breathing, gaze, clips) is not part of it. Plain JSON - see setState.
+    getState() {
+        return {
+            version: STATE_VERSION,
+            model: this.modelUrl,
+            pose: this.vrm && this.vrm.humanoid ? this.getPoseBoneDefinition() : null,
+            hands: this.handAnimations ? { ...this.handAnimations } : null,
+            expressions: { ...this.emotions.weights },
+            emotion: this.emotions.currentEmotion,
+            lighting: {
+                preset: this.lightingPreset,
+                brightness: this.lighting ? this.lighting.brightness : 1.0
+            },
+            motionIntensity: this.motionIntensity,
+            framing: this.framing ? { ...this.framing } : null
+        };
+    }
+
+    // Restore a getState() snapshot (object or JSON text); a .vroidpose file's data is accepted too.
+    // Loads the model first when it differs. options.duration blends pose and expressions (seconds).
+    // Resolves true once everything is applied.
+    async setState(state, { duration = 0 } = {}) {
+        let snapshot;
+        try {
+            snapshot = normalizeAvatarState(typeof state === 'string' ? JSON.parse(state) : state);
+        } catch (error) {
+            this.logger.error('Invalid avatar state:', error);
+            return false;
+        }
+        
+        if (snapshot.model && snapshot.model !== this.modelUrl) {
+            if (!await this.setModel(snapshot.model)) return false;
+        }
+        
+        if (snapshot.lighting) {
+            this.setLightingPreset(snapshot.lighting.preset || 'studio', { instant: duration <= 0 });
+            this.adjustLighting(snapshot.lighting.brightness ?? 1.0);
+        }
+        if (snapshot.motionIntensity !== undefined) {
+            this.adjustMotion(snapshot.motionIntensity);
+        }
+        
+        if (snapshot.expressions) {
+            const names = new Set([...Object.keys(this.emotions.weights), ...Object.keys(snapshot.expressions)]);
+            names.forEach(name => this.emotions.fadeTo(name, snapshot.expressions[name] || 0, duration));
+            this.emotions.currentEmotion = snapshot.emotion ?? null;
+        }
+        
+        let applied = true;
+        if (snapshot.pose) {
+            applied = await this.applyVRoidPoseData({ ...snapshot.hands, BoneDefinition: snapshot.pose }, { duration, posePath: 'state' });
+        }
+        
+        if (snapshot.framing && snapshot.framing.preset) {
+            this.setFraming(snapshot.framing.preset);
+        } else if (snapshot.framing && snapshot.framing.bone) {
+            this.frameBone(snapshot.framing.bone, { padding: snapshot.framing.padding });
+        }
+        
+        this.requestRender();
+        return applied;
+    }
+
+    // The rest pose as VRoid BoneDefinition data - the inverse of applyBoneRotationsFromVRoidData
+    getPoseBoneDefinition() {
+        const boneDefinition = {};
+        
+        const hips = this.restPose.hips;
+        if (hips) {
+            boneDefinition.HipsPosition = { x: hips.position.x, y: hips.position.y, z: hips.position.z * -1.0 };
+        }
+        
+        Object.keys(VROID_BONE_NAME_MAP).forEach(vroidBoneName => {
+            const rest = this.restPose[VROID_BONE_NAME_MAP[vroidBoneName]];
+            if (!rest) return;
+            
+            const { x, y, z, w } = rest.quaternion;
+            boneDefinition[vroidBoneName] = { x: x * -1.0, y: y * -1.0, z, w };
+        });
+        return boneDefinition;
+    }
+
+    // Keep the state in localStorage (default key 'vrm-avatar-state'); false when storage is unavailable or full
+    saveState(key = DEFAULT_STATE_KEY) {
+        try {
+            localStorage.setItem(key, JSON.stringify(this.getState()));
+            return true;
+        } catch (error) {
+            this.logger.warn('Could not save avatar state:', error);
+            return false;
+        }
+    }
+
+    // Restore a state saved with saveState; resolves false when there is none
+    async restoreSavedState(key = DEFAULT_STATE_KEY, options = {}) {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(key);
+        } catch (error) {
+            this.logger.warn('Could not read saved avatar state:', error);
+        }
+        if (!saved) return false;
+        
+        return this.setState(saved, options);
+    }
+
+    // .vroidpose file with the current pose and hand presets; the rest of the state rides along in VRMAvatarState.
+    // VRoid Studio reads the pose, setState / importVRoidPose restore everything.
+    exportVRoidPose() {
+        const { pose, hands, ...avatarState } = this.getState();
+        return JSON.stringify({
+            Version: 1,
+            ...hands,
+            BoneDefinition: pose || {},
+            VRMAvatarState: avatarState
+        });
+    }
+
+    // Save exportVRoidPose() as a file download
+    downloadVRoidPose(filename = 'avatar.vroidpose') {
+        downloadVRoidPose(this.exportVRoidPose(), filename);
+    }
+
+    // Apply a .vroidpose (File / Blob, JSON text or parsed object) - full state when it came from exportVRoidPose
+    async importVRoidPose(source, options = {}) {
+        try {
+            const text = source instanceof Blob ? await source.text() : source;
+            return await this.setState(text, options);
+        } catch (error) {
+            this.logger.error('Could not import pose file:', error);
+            return false;
+        }
     }
 
     // Initialize and start the avatar
-    async init(containerId = 'vrm-container', vrmPath = './Mahotsukai-jk.vrm', posePath = './pose.vroidpose') {
+    // options.mode: 'portrait' (default) or 'navigation' for the floor/route walking scene
+    // options.width / options.height: fixed viewport size (default: follow the container)
+    // options.framing: 'fullBody', 'upperBody' or 'face' camera fit (default: fixed portrait camera)
+    // options.maxFps caps the frame rate, options.renderMode 'onDemand' only renders while animating
+    // options.input: InputTracker options (idleTimeout, tiltRange, orientationTarget: null to ignore device tilt, ...)
+    // options.lighting: starting lighting preset (default 'studio')
+    // options.persistState: localStorage key (or true for the default) - the saved state is restored here
+    // and saved again whenever the page is hidden
+    // options.reducedMotion: 'auto' (follow prefers-reduced-motion, default), true or false - see setReducedMotion
+    // options.label: accessible name of the canvas for screen readers
+    async init(containerId = 'vrm-container', vrmPath = './Mahotsukai-jk.vrm', posePath = './pose.vroidpose', { mode = 'portrait', width = null, height = null, framing = null, maxFps = null, renderMode = 'continuous', input = {}, lighting = 'studio', persistState = null, physics = {}, assets = null, reducedMotion = 'auto', label = null } = {}) {
+        this.mode = mode;
+        this.setReducedMotion(reducedMotion);
+        if (label) {
+            this.accessibleLabel = label;
+        }
+        this.physicsOptions = { ...physics };
+        if (assets) {
+            this.configureAssets(assets);
+        }
+        this.setLightingPreset(lighting);
+        this.viewportSize = width && height ? { width, height } : null;
+        this.setFrameRateLimit(maxFps);
+        this.setRenderMode(renderMode);
+        
         if (!this.initScene(containerId)) {
             return false;
         }
@@ -660,41 +2660,184 @@ export class VRMAvatar {
         this.currentPosePath = posePath;
         
         await this.loadVRM(vrmPath);
-        this.animate();
+        if (framing) {
+            this.setFraming(framing);
+        }
+        
+        if (persistState) {
+            const stateKey = persistState === true ? DEFAULT_STATE_KEY : persistState;
+            await this.restoreSavedState(stateKey);
+            this.addListener(window, 'pagehide', () => this.saveState(stateKey));
+            this.addListener(document, 'visibilitychange', () => {
+                if (document.hidden) this.saveState(stateKey);
+            });
+        }
+        this.startLoop();
         
         // Setup event listeners
-        window.addEventListener('mousemove', (event) => this.updateMousePosition(event));
-        window.addEventListener('resize', () => this.onWindowResize());
+        this.setupInput(input);
+        this.addListener(window, 'resize', () => this.onWindowResize());
+        this.observeContainerSize();
         
         // Handle visibility changes (tab switching, window focus/blur)
-        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
-        window.addEventListener('focus', () => this.handleWindowFocus());
-        window.addEventListener('blur', () => this.handleWindowBlur());
+        this.addListener(document, 'visibilitychange', () => this.handleVisibilityChange());
+        this.addListener(window, 'focus', () => this.handleWindowFocus());
+        this.addListener(window, 'blur', () => this.handleWindowBlur());
         
+        this.dispatchAvatarEvent('ready', { vrm: this.vrm });
         return true;
     }
 
+    // Join a shared AvatarStage instead of init(): the avatar draws into the stage's scene with its camera.
+    // The stage owns the renderer, lights, input and render loop, so no window listeners are added here.
+    // Load the model with setModel() afterwards - the stage's layout places it.
+    attachToStage(stage, { posePath = './pose.vroidpose' } = {}) {
+        this.stage = stage;
+        this.mode = 'portrait';
+        this.scene = stage.scene;
+        this.camera = stage.camera;
+        this.renderer = stage.renderer;
+        this.container = stage.container;
+        this.currentPosePath = posePath;
+        this.setReducedMotion(stage.reducedMotion);
+        if (stage.assets) {
+            this.assets = stage.assets;
+            this.assetOptions = stage.assetOptions;
+        }
+    }
+
+    // Offline caching and compressed model support - options.cache (false always downloads; bump
+    // ASSET_CACHE_VERSION in vrm-assets.js to drop cached files), options.dracoDecoderPath / ktx2TranscoderPath (decoder locations,
+    // null leaves the format out), options.meshopt. Applies to models loaded from now on.
+    configureAssets({ cache = true, dracoDecoderPath, ktx2TranscoderPath, meshopt } = {}) {
+        this.assets = new AssetCache({ enabled: cache, logger: this.logger });
+        this.assetOptions = Object.fromEntries(Object.entries({ dracoDecoderPath, ktx2TranscoderPath, meshopt })
+            .filter(([, value]) => value !== undefined));
+        
+        if (this.modelLoader) {
+            disposeModelLoader(this.modelLoader);
+            this.modelLoader = null;
+        }
+    }
+
+    // Download models, poses and other files into the offline cache ahead of use, e.g. the next pose set.
+    // options.onProgress({ url, loaded, total }) per file. Resolves { loaded: [urls], failed: [{ url, error }] }.
+    async preload(urls, options = {}) {
+        const result = await this.assets.preload(urls, options);
+        result.failed.forEach(({ url, error }) => this.logger.warn(`Preload failed for ${url}:`, error));
+        return result;
+    }
+
+    // Add an event listener that dispose() removes again
+    addListener(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    removeListeners() {
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+    }
+
+    // Start the render loop (no-op when already running)
+    startLoop() {
+        if (this.animationFrameId !== null || this.disposed || this.ar) return;
+        
+        // Drop the time spent stopped so motion doesn't jump
+        this.clock.getDelta();
+        this.requestRender();
+        this.animate();
+    }
+
+    stopLoop() {
+        if (this.animationFrameId === null) return;
+        
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+    }
+
+    // Stop updating and rendering until resume()
+    pause() {
+        this.paused = true;
+        this.stopLoop();
+        this.logger.info('Paused');
+    }
+
+    // Resume after pause() - waits for the page to become visible if it is hidden
+    resume() {
+        this.paused = false;
+        if (!document.hidden) {
+            this.startLoop();
+        }
+        this.logger.info('Resumed');
+    }
+
+    // Cap the frame rate for battery-constrained devices; null or 0 removes the cap
+    setFrameRateLimit(fps) {
+        this.maxFps = fps > 0 ? fps : null;
+        this.lastFrameTime = 0;
+    }
+
+    // 'continuous' renders every frame, 'onDemand' only while something is animating
+    setRenderMode(mode) {
+        if (mode !== 'continuous' && mode !== 'onDemand') {
+            this.logger.error(`Unknown render mode: ${mode}`);
+            return;
+        }
+        this.renderMode = mode;
+        this.requestRender();
+    }
+
+    // Ask for a frame in onDemand mode (continuous mode renders anyway)
+    requestRender() {
+        this.renderRequested = true;
+    }
+
+    // Whether anything would change on screen this frame
+    needsRender() {
+        if (this.renderRequested || !this.vrm) return true;
+        
+        const emotions = this.emotions;
+        return !!(this.poseTransition
+            || this.clipLayer.action
+            || this.route
+            || this.walkWeight > 0.001
+            || this.pointing
+            || (this.lipSync && this.lipSync.isActive())
+            || Object.keys(emotions.fades).length > 0
+            || emotions.blinkTime >= 0
+            || !this.headLookSettled
+            || (this.lighting && !this.lighting.settled)
+            || (this.mode === 'navigation' && !this.followCameraSettled));
+    }
+
     // Handle visibility changes (tab switching)
     handleVisibilityChange() {
         if (document.hidden) {
-            // Page is hidden - pause or reduce processing
-            console.log('VRM Avatar: Page hidden, reducing processing');
+            // Page is hidden - stop the loop entirely
+            this.logger.debug('Page hidden, pausing rendering');
+            this.stopLoop();
         } else {
-            // Page is visible again - restore state
-            console.log('VRM Avatar: Page visible, restoring state');
+            // Page is visible again - restore state and pick the loop back up unless paused by the app
+            this.logger.debug('Page visible, restoring state');
             this.restoreAvatarState();
+            if (!this.paused) {
+                this.startLoop();
+            }
         }
     }
 
     // Handle window focus
     handleWindowFocus() {
-        console.log('VRM Avatar: Window focused, restoring state');
+        this.logger.debug('Window focused, restoring state');
         this.restoreAvatarState();
     }
 
     // Handle window blur
     handleWindowBlur() {
-        console.log('VRM Avatar: Window blurred');
+        this.logger.debug('Window blurred');
         // Store current state if needed
     }
 
@@ -704,26 +2847,171 @@ export class VRMAvatar {
 
         // Reset clock to prevent large delta times
         this.clock.getDelta();
+
+        // Ensure renderer is properly sized
+        this.onWindowResize();
         
-        // Reapply the pose to ensure bones are in correct position
-        if (this.currentPosePath) {
-            this.applyVRoidPose(this.currentPosePath);
-        }
+        // The pose may have jumped while hidden - let hair and clothes start over from rest
+        this.resetPhysics();
 
-        // Reset head and neck to neutral position if they've drifted
-        if (this.headBone) {
-            this.headBone.rotation.x = THREE.MathUtils.lerp(this.headBone.rotation.x, -0.1, 0.1);
-            this.headBone.rotation.y = THREE.MathUtils.lerp(this.headBone.rotation.y, 0, 0.1);
+        this.logger.debug('Avatar state restored');
+    }
+
+    // Stop the loop, remove listeners and free every GPU resource - the instance can't be reused
+    dispose() {
+        this.disposed = true;
+        this.stopLoop();
+        
+        if (this.ar) {
+            this.ar.session.end().catch(() => {});
+            this.finishAR();
         }
+        this.removeListeners();
+        this.disablePoseEditor();
         
-        if (this.neckBone) {
-            this.neckBone.rotation.x = THREE.MathUtils.lerp(this.neckBone.rotation.x, -0.05, 0.1);
-            this.neckBone.rotation.y = THREE.MathUtils.lerp(this.neckBone.rotation.y, 0, 0.1);
+        if (this.stopWatchingReducedMotion) {
+            this.stopWatchingReducedMotion();
+            this.stopWatchingReducedMotion = null;
+        }
+        
+        if (this.input) {
+            this.input.stop();
+            this.input = null;
+        }
+        
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        
+        // Settle pending promises
+        this.stopRoute();
+        this.cancelPoseTransition();
+        this.stopAnimation({ fadeOut: 0 });
+        if (this.pointing) {
+            this.pointing.resolve(false);
+            this.pointing = null;
+        }
+        
+        if (this.lipSync) {
+            this.lipSync.dispose();
+            this.lipSync = null;
+        }
+        
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.animationRig);
+            this.mixer = null;
+        }
+        this.animations = {};
+        
+        if (this.modelLoader) {
+            disposeModelLoader(this.modelLoader);
+            this.modelLoader = null;
+        }
+        
+        if (this.springBones) {
+            this.springBones.dispose();
+            this.springBones = null;
+        }
+        this.retiredSpringBones = null;
+        
+        if (this.vrm) {
+            this.scene.remove(this.vrm.scene);
+            VRMUtils.deepDispose(this.vrm.scene);
+            this.vrm = null;
+        }
+        
+        if (this.lighting) {
+            this.lighting.dispose();
+            this.lighting = null;
+        }
+        
+        // Scene, lights and renderer belong to the stage
+        if (this.stage) {
+            this.stage = null;
+            this.scene = null;
+            this.camera = null;
+            this.renderer = null;
+            this.logger.info('Disposed');
+            return;
+        }
+        
+        // Floor, route line, shadow plane and fallback models
+        if (this.scene) {
+            this.scene.traverse((child) => disposeObject(child));
+            this.scene.clear();
+        }
+        
+        if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+            this.renderer.domElement.remove();
         }
+        
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.logger.info('Disposed');
+    }
+}
 
-        // Ensure renderer is properly sized
-        this.onWindowResize();
+// Readable name of a model source for events and logs
+function describeModelSource(source) {
+    if (typeof source === 'string') return source;
+    if (typeof File !== 'undefined' && source instanceof File) return source.name;
+    if (source instanceof Blob) return 'blob';
+    return 'buffer';
+}
 
-        console.log('VRM Avatar state restored');
+// getState() snapshot from either a snapshot or .vroidpose data (BoneDefinition + optional VRMAvatarState)
+function normalizeAvatarState(state) {
+    if (!state || typeof state !== 'object') {
+        throw new Error('Avatar state must be an object');
     }
-}
\ No newline at end of file
+    if (state.BoneDefinition) {
+        return { ...(state.VRMAvatarState || {}), pose: state.BoneDefinition, hands: pickHandAnimations(state) };
+    }
+    if (state.version > STATE_VERSION) {
+        throw new Error(`Avatar state version ${state.version} is newer than supported (${STATE_VERSION})`);
+    }
+    return state;
+}
+
+// The hand preset fields of .vroidpose data, or null when it names no preset
+function pickHandAnimations(vroidPoseData) {
+    if (!vroidPoseData.LeftHandAnimationName && !vroidPoseData.RightHandAnimationName) return null;
+    
+    return Object.fromEntries(HAND_ANIMATION_FIELDS
+        .filter(field => vroidPoseData[field] !== undefined)
+        .map(field => [field, vroidPoseData[field]]));
+}
+
+// Read a File/Blob with progress
+function readBlob(blob, onProgress) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onprogress = (event) => onProgress(event.loaded, event.lengthComputable ? event.total : blob.size);
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+// Release an object's geometry, materials and their textures
+function disposeObject(object) {
+    if (object.geometry) {
+        object.geometry.dispose();
+    }
+    
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach(material => {
+        if (!material) return;
+        Object.values(material).forEach(value => {
+            if (value && value.isTexture) {
+                value.dispose();
+            }
+        });
+        material.dispose();
+    });
+}
@@ -0,0 +1,147 @@
+// VRM Emotions - Crossfaded emotion expressions and a procedural blink scheduler
+// Produces expression weights each frame; the avatar pushes them to vrm.expressionManager
+
+export const EMOTION_PRESETS = ['happy', 'sad', 'surprised', 'relaxed', 'angry'];
+
+// How much each emotion closes the eyes on its own (0 = not at all, 1 = fully)
+// Blinks are suppressed by this amount so lids don't double up
+const DEFAULT_EYE_CLOSURE = {
+    happy: 1.0,
+    relaxed: 0.6,
+    sad: 0.2
+};
+
+// Blink shape in seconds
+const BLINK_CLOSE_TIME = 0.06;
+const BLINK_HOLD_TIME = 0.04;
+const BLINK_OPEN_TIME = 0.12;
+
+export class EmotionController {
+    constructor(options = {}) {
+        this.weights = {};         // Current weight per emotion
+        this.fades = {};           // Running fades per emotion
+        this.currentEmotion = null;
+        this.eyeClosure = { ...DEFAULT_EYE_CLOSURE, ...(options.eyeClosure || {}) };
+
+        // Blink scheduler
+        this.blinkEnabled = options.blinkEnabled ?? true;
+        this.blinkMinInterval = options.blinkMinInterval ?? 2.0;       // seconds
+        this.blinkMaxInterval = options.blinkMaxInterval ?? 6.0;       // seconds
+        this.doubleBlinkChance = options.doubleBlinkChance ?? 0.15;
+        this.blinkTimer = this.nextBlinkInterval();
+        this.blinkTime = -1;       // Time into the current blink, -1 when eyes are open
+        this.pendingDoubleBlink = false;
+        this.blinkWeight = 0;
+    }
+
+    // Crossfade to an emotion; every other emotion fades out over the same time.
+    // name null / 'neutral' fades everything out. Resolves true when the fade completes.
+    setEmotion(name, weight = 1.0, { fadeMs = 300 } = {}) {
+        const targetName = name && name !== 'neutral' ? name : null;
+        const duration = Math.max(fadeMs, 0) / 1000;
+        const names = new Set([...Object.keys(this.weights), ...(targetName ? [targetName] : [])]);
+
+        this.currentEmotion = targetName;
+
+        const promises = [];
+        names.forEach(emotionName => {
+            const target = emotionName === targetName ? Math.min(Math.max(weight, 0), 1) : 0;
+            promises.push(this.fadeTo(emotionName, target, duration));
+        });
+
+        return Promise.all(promises).then(results => results.every(Boolean));
+    }
+
+    // Fade a single emotion weight; an interrupted fade resolves false
+    fadeTo(name, target, duration) {
+        const previous = this.fades[name];
+        if (previous) {
+            previous.resolve(false);
+        }
+
+        const from = this.weights[name] || 0;
+        if (duration <= 0 || from === target) {
+            delete this.fades[name];
+            this.weights[name] = target;
+            return Promise.resolve(true);
+        }
+
+        return new Promise((resolve) => {
+            this.fades[name] = { from, to: target, duration, elapsed: 0, resolve };
+        });
+    }
+
+    // Total eye closure coming from the active emotions (0..1)
+    getEyeClosure() {
+        let closure = 0;
+        Object.keys(this.weights).forEach(name => {
+            closure += (this.eyeClosure[name] || 0) * this.weights[name];
+        });
+        return Math.min(closure, 1);
+    }
+
+    // Random time until the next blink
+    nextBlinkInterval() {
+        return this.blinkMinInterval + Math.random() * (this.blinkMaxInterval - this.blinkMinInterval);
+    }
+
+    // Advance the blink scheduler; returns the blink weight for this frame
+    updateBlink(deltaTime) {
+        if (this.blinkTime < 0) {
+            this.blinkTimer -= deltaTime;
+            if (this.blinkEnabled && this.blinkTimer <= 0) {
+                this.blinkTime = 0;
+                this.pendingDoubleBlink = Math.random() < this.doubleBlinkChance;
+            }
+        }
+
+        let weight = 0;
+        if (this.blinkTime >= 0) {
+            this.blinkTime += deltaTime;
+            const t = this.blinkTime;
+
+            if (t < BLINK_CLOSE_TIME) {
+                weight = t / BLINK_CLOSE_TIME;
+            } else if (t < BLINK_CLOSE_TIME + BLINK_HOLD_TIME) {
+                weight = 1;
+            } else if (t < BLINK_CLOSE_TIME + BLINK_HOLD_TIME + BLINK_OPEN_TIME) {
+                weight = 1 - (t - BLINK_CLOSE_TIME - BLINK_HOLD_TIME) / BLINK_OPEN_TIME;
+            } else {
+                this.blinkTime = -1;
+                this.blinkTimer = this.pendingDoubleBlink ? 0.1 : this.nextBlinkInterval();
+                this.pendingDoubleBlink = false;
+            }
+        }
+
+        // Yield to emotions that already close the eyes
+        this.blinkWeight = weight * (1 - this.getEyeClosure());
+        return this.blinkWeight;
+    }
+
+    // Advance fades and blinking; returns { expressionName: weight } to apply this frame
+    update(deltaTime) {
+        Object.keys(this.fades).forEach(name => {
+            const fade = this.fades[name];
+            fade.elapsed += deltaTime;
+            const progress = Math.min(fade.elapsed / fade.duration, 1);
+            const eased = progress * progress * (3 - 2 * progress);
+            this.weights[name] = fade.from + (fade.to - fade.from) * eased;
+
+            if (progress >= 1) {
+                delete this.fades[name];
+                fade.resolve(true);
+            }
+        });
+
+        const output = { ...this.weights, blink: this.updateBlink(deltaTime) };
+
+        // Faded-out emotions have now been written as zero once - forget them
+        Object.keys(this.weights).forEach(name => {
+            if (this.weights[name] === 0 && !this.fades[name] && name !== this.currentEmotion) {
+                delete this.weights[name];
+            }
+        });
+
+        return output;
+    }
+}
@@ -0,0 +1,193 @@
+// VRM Gaze - Decides where the avatar looks: user input > points of interest > idle wander
+// Produces a world-space gaze target each frame; the avatar turns eyes, head and neck towards it
+
+import * as THREE from 'three';
+
+// Lowest to highest - the highest layer with a target wins
+export const GAZE_PRIORITIES = ['idle', 'poi', 'user'];
+
+export class GazeController {
+    constructor(options = {}) {
+        this.layers = { idle: null, poi: null, user: null };   // lookAt entries per priority
+        this.target = new THREE.Vector3();
+        this.activePriority = null;
+
+        // Pointer, touch or gaze-tracker input ({ x, y } in -1..1 screen units, y down)
+        this.userInput = null;
+        this.userInputAge = 0;
+        this.userTimeout = options.userTimeout ?? 2.5;         // Seconds without input before the user layer lapses
+        this.userSpreadX = options.userSpreadX ?? 0.5;         // Screen edge to meters per meter of head distance
+        this.userSpreadY = options.userSpreadY ?? 0.35;
+
+        // Idle wander - short glances around the user (or straight ahead when the user is out of view)
+        this.wanderEnabled = options.wanderEnabled ?? true;
+        this.wanderMinInterval = options.wanderMinInterval ?? 1.5;   // seconds
+        this.wanderMaxInterval = options.wanderMaxInterval ?? 4.0;   // seconds
+        this.wanderSpreadX = options.wanderSpreadX ?? 0.35;          // meters per meter of distance
+        this.wanderSpreadY = options.wanderSpreadY ?? 0.12;
+        this.userGlanceChance = options.userGlanceChance ?? 0.5;     // Chance a wander glance returns to the user
+        this.wanderOffset = new THREE.Vector2();
+        this.wanderTimer = this.nextWanderInterval();
+
+        this.right = new THREE.Vector3();
+        this.up = new THREE.Vector3();
+    }
+
+    // Look at an Object3D (followed as it moves), a world position (Vector3, [x, y, z], { x, y, z }) or 'camera'.
+    // options.priority: 'idle' | 'poi' | 'user', options.duration: seconds before the glance ends (omit to hold).
+    // Resolves true when the glance ends or is cleared, false if another lookAt takes its priority slot.
+    lookAt(target, { priority = 'poi', duration = null } = {}) {
+        if (!GAZE_PRIORITIES.includes(priority)) {
+            throw new Error(`Unknown gaze priority "${priority}" (expected ${GAZE_PRIORITIES.join(', ')})`);
+        }
+
+        const resolved = normalizeGazeTarget(target);
+        if (!resolved) {
+            throw new Error('Unsupported gaze target');
+        }
+
+        const previous = this.layers[priority];
+        if (previous) {
+            previous.resolve(false);
+        }
+
+        return new Promise((resolve) => {
+            this.layers[priority] = { target: resolved, remaining: duration, resolve };
+        });
+    }
+
+    // End the glance at one priority, or every lookAt when omitted
+    clearLookAt(priority = null) {
+        const priorities = priority ? [priority] : GAZE_PRIORITIES;
+        priorities.forEach(name => {
+            const entry = this.layers[name];
+            if (entry) {
+                this.layers[name] = null;
+                entry.resolve(true);
+            }
+        });
+    }
+
+    // Feed pointer/touch/gaze input - null lets the user layer lapse right away
+    setUserInput(x, y) {
+        if (x === null || x === undefined) {
+            this.userInput = null;
+            return;
+        }
+        this.userInput = { x: THREE.MathUtils.clamp(x, -1, 1), y: THREE.MathUtils.clamp(y, -1, 1) };
+        this.userInputAge = 0;
+    }
+
+    nextWanderInterval() {
+        return this.wanderMinInterval + Math.random() * (this.wanderMaxInterval - this.wanderMinInterval);
+    }
+
+    // Pick the target for this frame.
+    // view.camera: the rendering camera, view.head: head world position,
+    // view.forward: a world point straight ahead of the face, view.cameraInView: whether the user can be looked at.
+    // Returns the world target (reused vector) or null to look straight ahead.
+    update(deltaTime, { camera, head, forward, cameraInView = true }) {
+        this.updateLayers(deltaTime);
+
+        this.right.setFromMatrixColumn(camera.matrixWorld, 0);
+        this.up.setFromMatrixColumn(camera.matrixWorld, 1);
+
+        for (let i = GAZE_PRIORITIES.length - 1; i >= 0; i--) {
+            const priority = GAZE_PRIORITIES[i];
+
+            if (priority === 'user' && !this.layers.user && this.userInput) {
+                // Input maps onto the camera plane, scaled by distance so screen edges give a similar turn anywhere
+                const distance = head.distanceTo(camera.position);
+                this.target.copy(camera.position)
+                    .addScaledVector(this.right, this.userInput.x * distance * this.userSpreadX)
+                    .addScaledVector(this.up, -this.userInput.y * distance * this.userSpreadY);
+                this.activePriority = priority;
+                return this.target;
+            }
+
+            const entry = this.layers[priority];
+            if (entry) {
+                this.resolveTarget(entry.target, camera, this.target);
+                this.activePriority = priority;
+                return this.target;
+            }
+
+            if (priority === 'idle' && this.wanderEnabled) {
+                const anchor = cameraInView ? camera.position : forward;
+                const distance = head.distanceTo(anchor);
+                this.target.copy(anchor)
+                    .addScaledVector(this.right, this.wanderOffset.x * distance)
+                    .addScaledVector(this.up, this.wanderOffset.y * distance);
+                this.activePriority = priority;
+                return this.target;
+            }
+        }
+
+        this.activePriority = null;
+        return null;
+    }
+
+    // Count down glances, the user input timeout and the wander schedule
+    updateLayers(deltaTime) {
+        GAZE_PRIORITIES.forEach(priority => {
+            const entry = this.layers[priority];
+            if (!entry || entry.remaining === null || entry.remaining === undefined) return;
+
+            entry.remaining -= deltaTime;
+            if (entry.remaining <= 0) {
+                this.layers[priority] = null;
+                entry.resolve(true);
+            }
+        });
+
+        if (this.userInput) {
+            this.userInputAge += deltaTime;
+            if (this.userInputAge >= this.userTimeout) {
+                this.userInput = null;
+            }
+        }
+
+        this.wanderTimer -= deltaTime;
+        if (this.wanderTimer <= 0) {
+            this.wanderTimer = this.nextWanderInterval();
+            if (Math.random() < this.userGlanceChance) {
+                this.wanderOffset.set(0, 0);
+            } else {
+                this.wanderOffset.set(
+                    (Math.random() * 2 - 1) * this.wanderSpreadX,
+                    (Math.random() * 2 - 1) * this.wanderSpreadY
+                );
+            }
+        }
+    }
+
+    // World position of a normalized target
+    resolveTarget(target, camera, out) {
+        if (target === 'camera') {
+            return camera.getWorldPosition(out);
+        }
+        if (target.isObject3D) {
+            return target.getWorldPosition(out);
+        }
+        return out.copy(target);
+    }
+}
+
+// Object3D and 'camera' are kept live; positions are copied
+function normalizeGazeTarget(target) {
+    if (!target) return null;
+
+    if (target === 'camera' || target.isObject3D) {
+        return target;
+    }
+    if (target.isVector3) {
+        return target.clone();
+    }
+    if (Array.isArray(target) && target.length === 3) {
+        return new THREE.Vector3().fromArray(target);
+    }
+    if (typeof target === 'object' && typeof target.x === 'number') {
+        return new THREE.Vector3(target.x, target.y || 0, target.z || 0);
+    }
+    return null;
+}
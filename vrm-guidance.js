@@ -0,0 +1,482 @@
+// VRM Guidance - Plays structured navigation steps from the language-guidance backend on a VRMAvatar
+// Each step becomes a gesture, expression, gaze, optional pose/speech and a subtitle line.
+//
+// Step: { text, action, target, emotion, duration, delay, pose, animation, waypoints, audio, visemes, waitFor }
+//   action     'turn_left' | 'turn_right' | 'walk' | 'stairs_up' | 'stairs_down' | 'elevator' | 'arrive'
+//   target     what the step is about - world position, Object3D or screen direction; pointed and glanced at
+//   duration   seconds the step stays up in 'timer' mode (default: from the text length)
+//   waypoints  walk this route (see VRMAvatar.followRoute) before the step completes
+//   audio / visemes   speech with lip sync (see VRMAvatar.speak / speakWithTimings)
+//   waitFor    avatar event name that also has to fire, e.g. 'routeComplete' (advances 'manual' mode too)
+//
+// Events (detail): step { step, index }, stepComplete { step, index }, complete {}, connection { state }
+//
+// Every step's text is shown as a caption beside the avatar and read out to screen readers through a live region.
+// Keyboard (see GUIDANCE_KEYS): Right / Page Down next step, Escape stop, R repeat, + / - caption size, C contrast
+
+import { CAPTION_SIZES, announce, applyCaptionStyle, createLiveRegion, isEditableTarget } from './vrm-accessibility.js';
+
+// Default behavior per action; point is a screen direction used when the step has no target
+export const GUIDANCE_ACTIONS = {
+    turn_left: { point: 'left', emotion: null },
+    turn_right: { point: 'right', emotion: null },
+    walk: { point: 'forward', emotion: null },
+    stairs_up: { point: 'up', emotion: null },
+    stairs_down: { point: 'down', emotion: null },
+    elevator: { point: 'forward', emotion: null },
+    arrive: { point: null, emotion: 'happy', animation: 'wave', lookAtUser: true }
+};
+
+// Default shortcuts, key -> action. options.keyboard remaps them; null turns them off (e.g. when they clash
+// with a screen reader's own single-key commands).
+export const GUIDANCE_KEYS = {
+    ArrowRight: 'next',
+    PageDown: 'next',
+    Escape: 'stop',
+    r: 'repeat',
+    '+': 'largerCaptions',
+    '=': 'largerCaptions',
+    '-': 'smallerCaptions',
+    c: 'toggleContrast'
+};
+
+const SECONDS_PER_WORD = 0.4;
+const CAPTION_GAP = 12;            // Pixels between the avatar and its caption
+const MIN_STEP_DURATION = 2.0;
+const GLANCE_DURATION = 1.2;       // Seconds the guide looks at a target before turning back to the user
+
+export class GuidanceController extends EventTarget {
+    // options.advance: 'timer' (steps advance on their own) or 'manual' (next() advances)
+    // options.subtitles: element for the subtitle text (default: a .guidance-subtitles box on the page, null for none)
+    // options.actions: per-action overrides merged over GUIDANCE_ACTIONS
+    // options.captions: { size: 'small' | 'medium' | 'large' | 'xlarge' or a scale, contrast: 'normal' | 'high',
+    // position: 'avatar' (beside the avatar) or 'bottom' } - see setCaptionStyle
+    // options.announcements: true for a screen-reader live region (default), an aria-live element of your own, or false
+    // options.keyboard: key -> action map (see GUIDANCE_KEYS), null for no shortcuts
+    constructor(avatar, { advance = 'timer', subtitles = undefined, actions = {}, captions = {}, announcements = true, keyboard = GUIDANCE_KEYS } = {}) {
+        super();
+
+        this.avatar = avatar;
+        this.advance = advance;
+        this.actions = { ...GUIDANCE_ACTIONS, ...actions };
+        this.subtitleElement = subtitles === undefined ? createSubtitleElement() : subtitles;
+        this.liveRegion = announcements === true ? createOwnedLiveRegion() : announcements || null;
+        this.captionStyle = { size: 'medium', contrast: 'normal', position: 'avatar' };
+        this.keys = keyboard;
+        this.listeners = [];
+
+        this.queue = [];
+        this.index = 0;                // Steps started so far
+        this.current = null;           // { step, skip } while a step runs
+        this.playing = null;           // { resolve } while the queue is being played
+        this.runId = 0;
+        this.socket = null;
+
+        this.setCaptionStyle(captions);
+        if (typeof window !== 'undefined') {
+            if (this.keys) {
+                this.listen(window, 'keydown', (event) => this.handleKeyDown(event));
+            }
+            this.listen(window, 'resize', () => this.positionCaptions());
+        }
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    // Add steps (one step or an array) to the end of the queue
+    enqueue(steps) {
+        const list = Array.isArray(steps) ? steps : [steps];
+        list.forEach(step => {
+            if (!step || (typeof step.text !== 'string' && !step.action)) {
+                throw new Error('Guidance step needs text or an action');
+            }
+            this.queue.push(step);
+        });
+    }
+
+    // Play queued steps in order; steps enqueued meanwhile are played too.
+    // Resolves true once the queue runs dry, false if stop() ends it.
+    play() {
+        if (this.playing) return this.playing.promise;
+
+        const runId = ++this.runId;
+        let resolve;
+        const promise = new Promise((done) => { resolve = done; });
+        this.playing = { promise, resolve };
+
+        this.runQueue(runId);
+        return promise;
+    }
+
+    async runQueue(runId) {
+        while (this.queue.length > 0 && runId === this.runId) {
+            const step = this.queue.shift();
+            await this.runStep(step, runId);
+        }
+
+        if (runId !== this.runId) return;
+        const playing = this.playing;
+        this.playing = null;
+        this.showSubtitle('');
+        this.dispatchEvent(new CustomEvent('complete', { detail: {} }));
+        playing.resolve(true);
+    }
+
+    // Finish the current step now (the only way forward in 'manual' mode) - its speech is cut short,
+    // so the next step never talks over it
+    next() {
+        if (this.current) {
+            this.avatar.stopSpeaking();
+            this.current.skip();
+        }
+    }
+
+    // Drop the queue and end the current step; the avatar stops speaking, pointing and walking
+    stop() {
+        this.runId++;
+        this.queue = [];
+        if (this.current) {
+            this.current.skip();
+            this.current = null;
+        }
+
+        this.avatar.stopSpeaking();
+        this.avatar.stopPointing();
+        this.avatar.stopRoute();
+        this.avatar.clearLookAt('poi');
+        this.showSubtitle('');
+
+        if (this.playing) {
+            const playing = this.playing;
+            this.playing = null;
+            playing.resolve(false);
+        }
+    }
+
+    // Show one step on the avatar and wait until it is done
+    async runStep(step, runId) {
+        const index = this.index++;
+        const behavior = this.actions[step.action] || {};
+        const duration = step.duration ?? Math.max(MIN_STEP_DURATION, countWords(step.text) * SECONDS_PER_WORD);
+
+        if (step.delay > 0) {
+            await wait(step.delay);
+            if (runId !== this.runId) return;
+        }
+
+        let skip;
+        const skipped = new Promise((resolve) => { skip = resolve; });
+        this.current = { step, skip };
+
+        this.showSubtitle(step.text || '');
+        announce(this.liveRegion, step.text || '');
+        this.dispatchEvent(new CustomEvent('step', { detail: { step, index } }));
+
+        // Timer mode waits for the timer, speech and walking; both modes wait for waitFor and take next()
+        const blocking = this.startBehavior(step, behavior, duration);
+        if (this.advance === 'timer') {
+            blocking.push(wait(duration));
+        } else {
+            blocking.length = 0;
+        }
+        if (step.waitFor) {
+            blocking.push(this.waitForAvatarEvent(step.waitFor, skipped));
+        }
+
+        await Promise.race([skipped, blocking.length > 0 ? Promise.all(blocking) : skipped]);
+        skip();
+
+        if (this.current && this.current.step === step) {
+            this.current = null;
+        }
+        // stop() ended this step - the run is over, not the step
+        if (runId !== this.runId) return;
+        this.dispatchEvent(new CustomEvent('stepComplete', { detail: { step, index } }));
+    }
+
+    // Start everything the step asks of the avatar; returns the promises the step has to wait for
+    startBehavior(step, behavior, duration) {
+        const avatar = this.avatar;
+        const blocking = [];
+
+        const emotion = step.emotion ?? behavior.emotion;
+        if (emotion) {
+            avatar.setEmotion(emotion);
+        }
+
+        const pose = step.pose ?? behavior.pose;
+        if (pose) {
+            avatar.changePose(pose, { duration: 0.5 });
+        }
+
+        // Glance at what the step is about, then back at the user
+        if (step.target && typeof step.target !== 'string') {
+            avatar.lookAt(step.target, { duration: Math.min(GLANCE_DURATION, duration) });
+        } else if (behavior.lookAtUser) {
+            avatar.lookAt('camera', { duration });
+        }
+
+        // Gesture: a loaded clip if the action has one, else point at the target or the action's direction
+        const animation = step.animation ?? behavior.animation;
+        const pointTarget = step.target ?? behavior.point;
+        if (animation && avatar.animations[animation]) {
+            avatar.playAnimation(animation);
+        } else if (pointTarget) {
+            avatar.pointAt(pointTarget, { hold: duration * 0.8 });
+        }
+
+        if (step.waypoints) {
+            blocking.push(avatar.followRoute(step.waypoints, step.routeOptions || {}));
+        }
+
+        if (step.visemes) {
+            blocking.push(avatar.speakWithTimings(step.visemes, { audio: step.audio || null }));
+        } else if (step.audio) {
+            blocking.push(avatar.speak(step.audio));
+        }
+
+        return blocking;
+    }
+
+    // Resolves when the avatar dispatches the event; the listener goes once the step is skipped
+    waitForAvatarEvent(type, skipped) {
+        return new Promise((resolve) => {
+            const onEvent = () => resolve(true);
+            this.avatar.addEventListener(type, onEvent, { once: true });
+            skipped.then(() => this.avatar.removeEventListener(type, onEvent));
+        });
+    }
+
+    showSubtitle(text) {
+        if (!this.subtitleElement) return;
+
+        this.subtitleElement.textContent = text;
+        this.subtitleElement.hidden = !text;
+        if (text) {
+            this.positionCaptions();
+        }
+    }
+
+    // Show and read out the current step's text again
+    repeat() {
+        const step = this.current && this.current.step;
+        if (!step || !step.text) return false;
+
+        this.showSubtitle(step.text);
+        announce(this.liveRegion, step.text);
+        return true;
+    }
+
+    // Caption size, contrast and position; omitted settings stay as they are (see the constructor's options.captions)
+    setCaptionStyle({ size = this.captionStyle.size, contrast = this.captionStyle.contrast, position = this.captionStyle.position } = {}) {
+        if (position !== 'avatar' && position !== 'bottom') {
+            throw new Error(`Unknown caption position "${position}" (expected avatar, bottom)`);
+        }
+
+        applyCaptionStyle(this.subtitleElement, { size, contrast });
+        this.captionStyle = { size, contrast, position };
+        this.positionCaptions();
+    }
+
+    // Next larger (direction 1) or smaller (-1) caption size of CAPTION_SIZES; false at either end
+    stepCaptionSize(direction) {
+        if (!this.subtitleElement) return false;
+
+        const size = this.captionStyle.size;
+        const scale = typeof size === 'number' ? size : CAPTION_SIZES[size];
+        const names = Object.keys(CAPTION_SIZES).sort((a, b) => CAPTION_SIZES[a] - CAPTION_SIZES[b]);
+        const candidates = direction > 0
+            ? names.filter(name => CAPTION_SIZES[name] > scale)
+            : names.filter(name => CAPTION_SIZES[name] < scale).reverse();
+        if (candidates.length === 0) return false;
+
+        this.setCaptionStyle({ size: candidates[0] });
+        return true;
+    }
+
+    // Put the default caption box beside the avatar's container - on whichever side has more room -
+    // level with its middle. Falls back to the bottom of the page when the avatar isn't on screen.
+    // A subtitles element passed in by the page is left where the page put it.
+    positionCaptions() {
+        const element = this.subtitleElement;
+        if (!element || !element.dataset.guidanceOwned) return;
+
+        const container = this.captionStyle.position === 'avatar' ? this.avatar.container : null;
+        const rect = container ? container.getBoundingClientRect() : null;
+        const beside = !!(rect && rect.width > 0 && rect.height > 0);
+        element.classList.toggle('guidance-subtitles-beside', beside);
+
+        if (!beside) {
+            element.style.left = '';
+            element.style.right = '';
+            element.style.bottom = '';
+            return;
+        }
+
+        const roomLeft = rect.left;
+        const roomRight = window.innerWidth - rect.right;
+        if (roomLeft >= roomRight) {
+            element.style.left = 'auto';
+            element.style.right = `${window.innerWidth - rect.left + CAPTION_GAP}px`;
+        } else {
+            element.style.left = `${rect.right + CAPTION_GAP}px`;
+            element.style.right = 'auto';
+        }
+        element.style.bottom = `${Math.max(window.innerHeight - rect.bottom, 0) + rect.height / 2}px`;
+    }
+
+    handleKeyDown(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+        // Text fields and the pose editor keep their own keys
+        if (isEditableTarget(event.target) || this.avatar.poseEditor) return;
+
+        const action = this.keys[event.key] || this.keys[event.key.toLowerCase()];
+        if (action && this.runKeyAction(action)) {
+            event.preventDefault();
+        }
+    }
+
+    // Returns whether the key did anything, so unused keys keep their default (e.g. scrolling)
+    runKeyAction(action) {
+        switch (action) {
+            case 'next':
+                if (!this.current) return false;
+                this.next();
+                return true;
+            case 'stop':
+                if (!this.playing) return false;
+                this.stop();
+                return true;
+            case 'repeat':
+                return this.repeat();
+            case 'largerCaptions':
+                return this.stepCaptionSize(1);
+            case 'smallerCaptions':
+                return this.stepCaptionSize(-1);
+            case 'toggleContrast':
+                if (!this.subtitleElement) return false;
+                this.setCaptionStyle({ contrast: this.captionStyle.contrast === 'high' ? 'normal' : 'high' });
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    // Replay a recorded session from a JSON file ({ steps: [...] } or an array of steps).
+    // Resolves like play() once every step has been shown.
+    async loadSession(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load guidance session: ${response.status} ${response.statusText}`);
+        }
+
+        const session = await response.json();
+        this.enqueue(Array.isArray(session) ? session : session.steps || []);
+        return this.play();
+    }
+
+    // Receive steps live from a WebSocket (e.g. a local mock backend on ws://localhost:8765).
+    // Messages: a step, an array of steps, { steps: [...] } or { type: 'stop' }. Steps play as they arrive.
+    // Resolves true once connected, false if the connection fails.
+    connect(url) {
+        this.disconnect();
+
+        return new Promise((resolve) => {
+            const socket = new WebSocket(url);
+            this.socket = socket;
+
+            socket.addEventListener('open', () => {
+                this.dispatchEvent(new CustomEvent('connection', { detail: { state: 'open', url } }));
+                resolve(true);
+            });
+            socket.addEventListener('error', () => resolve(false));
+            socket.addEventListener('close', () => {
+                if (this.socket === socket) this.socket = null;
+                this.dispatchEvent(new CustomEvent('connection', { detail: { state: 'closed', url } }));
+                resolve(false);
+            });
+            socket.addEventListener('message', (event) => this.handleMessage(event.data));
+        });
+    }
+
+    disconnect() {
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            this.avatar.logger.warn('Ignoring guidance message that is not JSON:', data);
+            return;
+        }
+
+        if (message && message.type === 'stop') {
+            this.stop();
+            return;
+        }
+
+        try {
+            this.enqueue(Array.isArray(message) ? message : message.steps || message.step || message);
+        } catch (error) {
+            this.avatar.logger.warn('Ignoring invalid guidance step:', error);
+            return;
+        }
+        this.play();
+    }
+
+    dispose() {
+        this.disconnect();
+        this.stop();
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        if (this.subtitleElement && this.subtitleElement.dataset.guidanceOwned) {
+            this.subtitleElement.remove();
+        }
+        this.subtitleElement = null;
+        if (this.liveRegion && this.liveRegion.dataset.guidanceOwned) {
+            this.liveRegion.remove();
+        }
+        this.liveRegion = null;
+    }
+}
+
+// Default subtitle box at the bottom of the page (styled by .guidance-subtitles)
+function createSubtitleElement() {
+    if (typeof document === 'undefined' || !document.body) return null;
+
+    const element = document.createElement('div');
+    element.className = 'guidance-subtitles';
+    element.dataset.guidanceOwned = 'true';
+    element.hidden = true;
+    document.body.appendChild(element);
+    return element;
+}
+
+// Default live region for step announcements
+function createOwnedLiveRegion() {
+    const region = createLiveRegion();
+    if (region) region.dataset.guidanceOwned = 'true';
+    return region;
+}
+
+// Reading length in words - Japanese and Chinese text counts three characters as a word
+function countWords(text) {
+    if (!text) return 0;
+
+    const cjkCharacters = (text.match(/[\u3040-\u30ff\u3400-\u9fff]/g) || []).length;
+    const words = text.replace(/[\u3040-\u30ff\u3400-\u9fff]/g, ' ').trim().split(/\s+/).filter(Boolean).length;
+    return words + cjkCharacters / 3;
+}
+
+function wait(seconds) {
+    return new Promise((resolve) => setTimeout(() => resolve(true), seconds * 1000));
+}
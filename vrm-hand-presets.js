@@ -0,0 +1,161 @@
+// VRM Hand Presets - Named finger poses for VRoid hand animations
+// Resolves LeftHandAnimationName / RightHandAnimationName from .vroidpose files
+
+import * as THREE from 'three';
+
+export const FINGER_NAMES = ['Thumb', 'Index', 'Middle', 'Ring', 'Little'];
+
+// VRM 1.0 segment names - the thumb has a metacarpal instead of an intermediate
+export const FINGER_SEGMENTS = {
+    Thumb: ['Metacarpal', 'Proximal', 'Distal'],
+    Index: ['Proximal', 'Intermediate', 'Distal'],
+    Middle: ['Proximal', 'Intermediate', 'Distal'],
+    Ring: ['Proximal', 'Intermediate', 'Distal'],
+    Little: ['Proximal', 'Intermediate', 'Distal']
+};
+
+// Curl around Z for one finger, base to tip (left hand)
+const curl = (proximal, intermediate, distal) => [
+    { x: 0.0, y: 0.0, z: proximal },
+    { x: 0.0, y: 0.0, z: intermediate },
+    { x: 0.0, y: 0.0, z: distal }
+];
+
+const relaxedFinger = curl(0.3, 0.4, 0.2);
+const straightFinger = curl(0.0, 0.0, 0.0);
+const closedFinger = curl(1.4, 1.6, 1.2);
+
+const relaxedThumb = [
+    { x: 0.2, y: 0.3, z: 0.1 },      // Thumb out and forward
+    { x: 0.1, y: 0.0, z: 0.2 },      // Slight bend
+    { x: 0.0, y: 0.0, z: 0.1 }       // Tip curl
+];
+const openThumb = [
+    { x: 0.1, y: 0.2, z: 0.0 },
+    { x: 0.0, y: 0.0, z: 0.0 },
+    { x: 0.0, y: 0.0, z: 0.0 }
+];
+const tuckedThumb = [
+    { x: 0.4, y: 0.5, z: 0.3 },
+    { x: 0.2, y: 0.0, z: 0.6 },
+    { x: 0.0, y: 0.0, z: 0.5 }
+];
+
+// Presets are authored for the left hand as Euler angles (radians) per finger segment.
+// The right hand is mirrored at apply time.
+const HAND_PRESETS = {
+    natural: {
+        Thumb: relaxedThumb,
+        Index: relaxedFinger,
+        Middle: relaxedFinger,
+        Ring: relaxedFinger,
+        Little: relaxedFinger
+    },
+    fist: {
+        Thumb: tuckedThumb,
+        Index: closedFinger,
+        Middle: closedFinger,
+        Ring: closedFinger,
+        Little: closedFinger
+    },
+    point: {
+        Thumb: tuckedThumb,
+        Index: straightFinger,
+        Middle: closedFinger,
+        Ring: closedFinger,
+        Little: closedFinger
+    },
+    open: {
+        Thumb: openThumb,
+        Index: straightFinger,
+        Middle: straightFinger,
+        Ring: straightFinger,
+        Little: straightFinger
+    },
+    peace: {
+        Thumb: tuckedThumb,
+        Index: straightFinger,
+        Middle: straightFinger,
+        Ring: closedFinger,
+        Little: closedFinger
+    },
+    thumbsUp: {
+        Thumb: openThumb,
+        Index: closedFinger,
+        Middle: closedFinger,
+        Ring: closedFinger,
+        Little: closedFinger
+    }
+};
+
+// Alternative names accepted from pose files, e.g. "L_OpenPalm"
+const HAND_PRESET_ALIASES = {
+    relaxed: 'natural',
+    default: 'natural',
+    grip: 'fist',
+    rock: 'fist',
+    pointing: 'point',
+    index: 'point',
+    openpalm: 'open',
+    palm: 'open',
+    paper: 'open',
+    victory: 'peace',
+    v: 'peace',
+    good: 'thumbsUp',
+    thumbsup: 'thumbsUp'
+};
+
+// Register or replace a named preset
+export function registerHandPreset(name, definition) {
+    HAND_PRESETS[name] = definition;
+}
+
+export function getHandPresetNames() {
+    return Object.keys(HAND_PRESETS);
+}
+
+// Resolve a VRoid hand animation name ("L_Natural", "R_Fist", "point") to a preset key
+export function resolveHandPresetName(animationName) {
+    if (!animationName) return null;
+
+    const baseName = animationName.replace(/^[LR]_/i, '');
+    if (HAND_PRESETS[baseName]) return baseName;
+
+    const normalized = baseName.replace(/[\s_-]/g, '').toLowerCase();
+    const presetName = Object.keys(HAND_PRESETS).find(key => key.toLowerCase() === normalized)
+        || HAND_PRESET_ALIASES[normalized];
+
+    return presetName || null;
+}
+
+// Mirror a bone rotation to the other side of the body (left <-> right): Y and Z flip, X stays.
+// The right-hand presets are built this way; the pose editor mirrors whole poses with it.
+export function mirrorRotation(quaternion, target = new THREE.Quaternion()) {
+    return target.set(quaternion.x, -quaternion.y, -quaternion.z, quaternion.w);
+}
+
+// Build target quaternions for one hand, keyed by VRM bone name
+// side: 'left' | 'right' - right hand mirrors Y and Z like the natural finger pose
+export function getHandPresetRotations(presetName, side) {
+    const preset = HAND_PRESETS[presetName];
+    if (!preset) return null;
+
+    const mirror = side === 'right';
+    const euler = new THREE.Euler();
+    const rotations = {};
+
+    FINGER_NAMES.forEach(fingerName => {
+        const segments = preset[fingerName];
+        if (!segments) return;
+
+        FINGER_SEGMENTS[fingerName].forEach((segment, index) => {
+            const pose = segments[index];
+            if (!pose) return;
+
+            const rotation = new THREE.Quaternion().setFromEuler(euler.set(pose.x, pose.y, pose.z));
+            rotations[`${side}${fingerName}${segment}`] = mirror ? mirrorRotation(rotation, rotation) : rotation;
+        });
+    });
+
+    return rotations;
+}
@@ -0,0 +1,161 @@
+// VRM Input - Pointer (mouse, touch, pen) and device-orientation input for head tracking
+// Emits canvas-relative positions; works with synthetic events so it can be driven from headless tests
+//
+// Events (detail):
+//   input   new position        { x, y, source }  x/y in -1..1 across the canvas (y down), source: 'mouse' | 'touch' | 'pen' | 'orientation'
+//   idle    no input for idleTimeout seconds       {}
+
+const POINTER_EVENTS = ['pointermove', 'pointerdown'];
+
+export class InputTracker extends EventTarget {
+    // options.element: the avatar canvas positions are measured against
+    // options.target: where pointer events are heard (default window, so the whole page steers the head)
+    // options.orientationTarget: source of deviceorientation events (default window, null disables tilt input)
+    constructor({
+        element,
+        target = window,
+        orientationTarget = window,
+        idleTimeout = 2.5,             // Seconds without input before 'idle'
+        tiltRange = 25,                // Degrees of tilt from the starting hold that reach the edge of the range
+        tiltDeadZone = 1.5,            // Degrees of sensor jitter ignored (keeps the idle timeout working)
+        touchAction = 'none'           // CSS touch-action for the canvas, so dragging over it isn't taken for scrolling
+    } = {}) {
+        super();
+
+        this.element = element;
+        this.target = target;
+        this.orientationTarget = orientationTarget;
+        this.idleTimeout = idleTimeout;
+        this.tiltRange = tiltRange;
+        this.tiltDeadZone = tiltDeadZone;
+        this.touchAction = touchAction;
+
+        this.position = null;          // Last { x, y, source }, null while idle
+        this.idleTimer = null;
+        this.tiltBaseline = null;      // Device tilt when tracking started - how the user holds it
+        this.lastTilt = null;
+        this.started = false;
+
+        this.onPointer = (event) => this.handlePointer(event);
+        this.onOrientation = (event) => this.handleOrientation(event);
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        POINTER_EVENTS.forEach(type => this.target.addEventListener(type, this.onPointer));
+        if (this.orientationTarget) {
+            this.orientationTarget.addEventListener('deviceorientation', this.onOrientation);
+        }
+        if (this.touchAction && this.element && this.element.style) {
+            this.element.style.touchAction = this.touchAction;
+        }
+    }
+
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+
+        POINTER_EVENTS.forEach(type => this.target.removeEventListener(type, this.onPointer));
+        if (this.orientationTarget) {
+            this.orientationTarget.removeEventListener('deviceorientation', this.onOrientation);
+        }
+        this.clearIdleTimer();
+        this.position = null;
+    }
+
+    // iOS 13+ only delivers orientation events after the user grants permission from a tap.
+    // Resolves true when orientation input is available.
+    async requestOrientationPermission() {
+        const OrientationEvent = globalThis.DeviceOrientationEvent;
+        if (!OrientationEvent) return false;
+        if (typeof OrientationEvent.requestPermission !== 'function') return true;
+
+        try {
+            return await OrientationEvent.requestPermission() === 'granted';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Treat the current device tilt as neutral again
+    recalibrate() {
+        this.tiltBaseline = null;
+        this.lastTilt = null;
+    }
+
+    // Pointer position relative to the canvas; outside the canvas is clamped to its edges
+    handlePointer(event) {
+        const rect = this.element.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+
+        const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        const y = ((event.clientY - rect.top) / rect.height) * 2 - 1;
+        this.emitInput(x, y, event.pointerType || 'mouse');
+    }
+
+    // Tilt relative to how the device was held at the start (gamma: left/right, beta: forward/back)
+    handleOrientation(event) {
+        if (event.beta === null || event.beta === undefined || event.gamma === null || event.gamma === undefined) return;
+
+        // Sensor axes follow the device, not the screen - rotate them with the screen orientation
+        const angle = getScreenAngle() * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const tilt = {
+            x: event.gamma * cos - event.beta * sin,
+            y: event.beta * cos + event.gamma * sin
+        };
+
+        if (!this.tiltBaseline) {
+            this.tiltBaseline = tilt;
+            this.lastTilt = tilt;
+            return;
+        }
+
+        if (Math.hypot(tilt.x - this.lastTilt.x, tilt.y - this.lastTilt.y) < this.tiltDeadZone) return;
+        this.lastTilt = tilt;
+
+        // Raising the top edge of the screen raises the gaze
+        this.emitInput(
+            (tilt.x - this.tiltBaseline.x) / this.tiltRange,
+            -(tilt.y - this.tiltBaseline.y) / this.tiltRange,
+            'orientation'
+        );
+    }
+
+    emitInput(x, y, source) {
+        this.position = {
+            x: Math.min(Math.max(x, -1), 1),
+            y: Math.min(Math.max(y, -1), 1),
+            source
+        };
+        this.dispatchEvent(new CustomEvent('input', { detail: { ...this.position } }));
+        this.restartIdleTimer();
+    }
+
+    restartIdleTimer() {
+        this.clearIdleTimer();
+        this.idleTimer = setTimeout(() => {
+            this.idleTimer = null;
+            this.position = null;
+            this.dispatchEvent(new CustomEvent('idle', { detail: {} }));
+        }, this.idleTimeout * 1000);
+    }
+
+    clearIdleTimer() {
+        if (this.idleTimer !== null) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+}
+
+// Screen rotation in degrees (0, 90, 180, 270)
+function getScreenAngle() {
+    if (globalThis.screen && screen.orientation && typeof screen.orientation.angle === 'number') {
+        return screen.orientation.angle;
+    }
+    return typeof globalThis.orientation === 'number' ? globalThis.orientation : 0;
+}
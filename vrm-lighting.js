@@ -0,0 +1,377 @@
+// VRM Lighting - Named light rigs, image-based lighting and light-estimation retargeting
+// The rig blends towards its target each frame, so presets and estimates change without popping
+
+import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+
+// Key casts the shadow; fill, rim and ground shape the avatar; positions are offsets from the rig anchor
+export const LIGHTING_PRESETS = {
+    studio: {
+        key: { color: 0xffffff, intensity: 1.8, position: [2, 4, 3] },
+        fill: { color: 0xfff8e1, intensity: 0.6, position: [-3, 2, 2] },
+        rim: { color: 0xe8f4ff, intensity: 0.8, position: [-1, 3, -2] },
+        ambient: { color: 0x404556, intensity: 0.4 },
+        ground: { color: 0xffffff, intensity: 0.3, position: [0, -2, 1] },
+        exposure: 1.2
+    },
+    // Flat, slightly cool overhead panels
+    indoorFluorescent: {
+        key: { color: 0xf2f7ff, intensity: 1.2, position: [0.5, 5, 1.5] },
+        fill: { color: 0xeef4ff, intensity: 0.8, position: [-2, 3, 2] },
+        rim: { color: 0xffffff, intensity: 0.3, position: [-1, 3, -2] },
+        ambient: { color: 0xdfe8f0, intensity: 0.8 },
+        ground: { color: 0xd8dcd0, intensity: 0.35, position: [0, -2, 1] },
+        exposure: 1.0
+    },
+    // High warm sun, blue sky fill and a warm bounce from the ground
+    outdoorDaylight: {
+        key: { color: 0xfff1d6, intensity: 2.6, position: [3, 6, 2] },
+        fill: { color: 0xbfd9ff, intensity: 0.7, position: [-3, 2, 1] },
+        rim: { color: 0xffffff, intensity: 0.6, position: [-1, 4, -3] },
+        ambient: { color: 0x9db8d9, intensity: 0.6 },
+        ground: { color: 0xc9b89a, intensity: 0.4, position: [0, -2, 1] },
+        exposure: 1.0
+    },
+    // Sodium street lamp against a dark blue sky
+    night: {
+        key: { color: 0xffc27a, intensity: 1.0, position: [1.5, 4, 2] },
+        fill: { color: 0x6f86c9, intensity: 0.35, position: [-3, 2, 2] },
+        rim: { color: 0x8fa6ff, intensity: 0.6, position: [-1, 3, -2] },
+        ambient: { color: 0x1c2440, intensity: 0.35 },
+        ground: { color: 0x202030, intensity: 0.1, position: [0, -2, 1] },
+        exposure: 0.9
+    }
+};
+
+const LIGHT_NAMES = ['key', 'fill', 'rim', 'ambient', 'ground'];
+
+export class LightingRig {
+    constructor(scene, renderer, { preset = 'studio', transitionSpeed = 3.0 } = {}) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.transitionSpeed = transitionSpeed;    // Blend rate towards the target (per second)
+        this.brightness = 1.0;                     // adjustLighting multiplier
+        this.anchor = new THREE.Vector3();         // Where the key light aims (the avatar in navigation mode and AR)
+        this.presetName = null;
+        this.estimate = null;
+        this.settled = true;
+        this.environment = null;
+
+        this.key = new THREE.DirectionalLight();
+        this.fill = new THREE.DirectionalLight();
+        this.rim = new THREE.DirectionalLight();
+        this.ambient = new THREE.AmbientLight();
+        this.ground = new THREE.DirectionalLight();
+        LIGHT_NAMES.forEach(name => {
+            this[name].name = `${name}Light`;
+            scene.add(this[name]);
+        });
+        scene.add(this.key.target);
+
+        // Current and target values per light: { color, intensity, offset }
+        this.current = {};
+        this.target = {};
+        LIGHT_NAMES.forEach(name => {
+            this.current[name] = { color: new THREE.Color(), intensity: 0, offset: new THREE.Vector3() };
+            this.target[name] = { color: new THREE.Color(), intensity: 0, offset: new THREE.Vector3() };
+        });
+        this.current.exposure = 1;
+        this.target.exposure = 1;
+
+        this.setPreset(preset, { instant: true });
+    }
+
+    // Blend to a named preset (see LIGHTING_PRESETS); options.instant snaps. Clears any light estimate.
+    setPreset(name, { instant = false } = {}) {
+        if (!LIGHTING_PRESETS[name]) {
+            throw new Error(`Unknown lighting preset "${name}" (expected ${Object.keys(LIGHTING_PRESETS).join(', ')})`);
+        }
+
+        this.presetName = name;
+        this.estimate = null;
+        this.retarget();
+        if (instant) this.snap();
+    }
+
+    // Follow an estimated light: { direction (towards the light), color, intensity, ambientColor, ambientIntensity }.
+    // Every field is optional; missing ones keep the preset's value. null returns to the preset.
+    setLightEstimate(estimate) {
+        this.estimate = estimate;
+        this.retarget();
+    }
+
+    // Scale every light - ambient changes half as much so shadows never go black
+    setBrightness(brightness) {
+        this.brightness = brightness;
+        this.retarget();
+        this.snap();
+    }
+
+    // Keep the key light (and its shadow camera) centred on a moving avatar
+    setAnchor(position) {
+        this.anchor.copy(position);
+        this.applyCurrent();
+    }
+
+    // Target values from the preset, the estimate and the brightness
+    retarget() {
+        const preset = LIGHTING_PRESETS[this.presetName];
+
+        LIGHT_NAMES.forEach(name => {
+            const source = preset[name];
+            const target = this.target[name];
+            target.color.set(source.color);
+            target.intensity = source.intensity;
+            if (source.position) {
+                target.offset.fromArray(source.position);
+            }
+        });
+        this.target.exposure = preset.exposure;
+
+        const estimate = this.estimate;
+        if (estimate) {
+            const key = this.target.key;
+            const fill = this.target.fill;
+
+            if (estimate.direction) {
+                const distance = key.offset.length();
+                const direction = new THREE.Vector3(estimate.direction.x, estimate.direction.y, estimate.direction.z).normalize();
+                key.offset.copy(direction).multiplyScalar(distance);
+
+                // Fill comes from the other side, low, so the shadowed half of the face isn't lost
+                const fillDistance = fill.offset.length();
+                fill.offset.set(-direction.x, 0.5, -direction.z).normalize().multiplyScalar(fillDistance);
+            }
+            if (estimate.color !== undefined) {
+                key.color.set(estimate.color);
+            }
+            if (estimate.intensity !== undefined) {
+                fill.intensity *= estimate.intensity / Math.max(key.intensity, 1e-3);
+                key.intensity = estimate.intensity;
+            }
+            if (estimate.ambientColor !== undefined) {
+                this.target.ambient.color.set(estimate.ambientColor);
+                fill.color.set(estimate.ambientColor);
+            }
+            if (estimate.ambientIntensity !== undefined) {
+                this.target.ambient.intensity = estimate.ambientIntensity;
+            }
+        }
+
+        LIGHT_NAMES.forEach(name => {
+            const scale = name === 'ambient' ? 0.5 + this.brightness * 0.5 : this.brightness;
+            this.target[name].intensity *= scale;
+        });
+        this.settled = false;
+    }
+
+    snap() {
+        LIGHT_NAMES.forEach(name => {
+            const current = this.current[name];
+            const target = this.target[name];
+            current.color.copy(target.color);
+            current.intensity = target.intensity;
+            current.offset.copy(target.offset);
+        });
+        this.current.exposure = this.target.exposure;
+        this.settled = true;
+        this.applyCurrent();
+    }
+
+    // Frame-rate independent blend towards the target
+    update(deltaTime) {
+        if (this.settled) return;
+
+        const blend = 1 - Math.exp(-this.transitionSpeed * deltaTime);
+        let remaining = 0;
+
+        LIGHT_NAMES.forEach(name => {
+            const current = this.current[name];
+            const target = this.target[name];
+            current.color.lerp(target.color, blend);
+            current.intensity += (target.intensity - current.intensity) * blend;
+            current.offset.lerp(target.offset, blend);
+
+            remaining = Math.max(
+                remaining,
+                Math.abs(target.intensity - current.intensity),
+                Math.abs(target.color.r - current.color.r) + Math.abs(target.color.g - current.color.g) + Math.abs(target.color.b - current.color.b),
+                current.offset.distanceTo(target.offset)
+            );
+        });
+        this.current.exposure += (this.target.exposure - this.current.exposure) * blend;
+        remaining = Math.max(remaining, Math.abs(this.target.exposure - this.current.exposure));
+
+        if (remaining < 1e-3) {
+            this.snap();
+        } else {
+            this.applyCurrent();
+        }
+    }
+
+    applyCurrent() {
+        LIGHT_NAMES.forEach(name => {
+            const light = this[name];
+            const current = this.current[name];
+            light.color.copy(current.color);
+            light.intensity = current.intensity;
+            if (!light.isAmbientLight) {
+                light.position.copy(current.offset);
+            }
+        });
+
+        this.key.position.add(this.anchor);
+        this.key.target.position.copy(this.anchor);
+        if (this.renderer) {
+            this.renderer.toneMappingExposure = this.current.exposure;
+        }
+    }
+
+    // Image-based lighting from an equirectangular .hdr, .exr or LDR image, prefiltered with PMREM.
+    // options.background also shows it behind the avatar. Resolves true once applied.
+    async loadEnvironment(url, { background = false } = {}) {
+        const path = url.split(/[?#]/)[0];
+        const loader = /\.hdr$/i.test(path) ? new RGBELoader()
+            : /\.exr$/i.test(path) ? new EXRLoader()
+                : new THREE.TextureLoader();
+
+        const texture = await loader.loadAsync(url);
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+        if (loader instanceof THREE.TextureLoader) {
+            texture.colorSpace = THREE.SRGBColorSpace;
+        }
+
+        const generator = new THREE.PMREMGenerator(this.renderer);
+        const target = generator.fromEquirectangular(texture);
+        generator.dispose();
+        texture.dispose();
+
+        this.clearEnvironment();
+        this.environment = target;
+        this.scene.environment = target.texture;
+        if (background) {
+            this.scene.background = target.texture;
+        }
+        return true;
+    }
+
+    clearEnvironment() {
+        if (!this.environment) return;
+
+        if (this.scene.background === this.environment.texture) {
+            this.scene.background = null;
+        }
+        if (this.scene.environment === this.environment.texture) {
+            this.scene.environment = null;
+        }
+        this.environment.dispose();
+        this.environment = null;
+    }
+
+    dispose() {
+        this.clearEnvironment();
+        LIGHT_NAMES.forEach(name => {
+            this.scene.remove(this[name]);
+            this[name].dispose();
+        });
+        this.scene.remove(this.key.target);
+    }
+}
+
+// Soft shadows from a rig's key light - the one shadow setup shared by VRMAvatar and AvatarStage.
+// extent: meters the shadow camera covers either side of the rig anchor.
+export function configureKeyShadow(light, { extent = 2 } = {}) {
+    light.castShadow = true;
+    light.shadow.mapSize.set(2048, 2048);
+    light.shadow.camera.near = 0.1;
+    light.shadow.camera.far = 20;
+    light.shadow.bias = -0.0005;
+    light.shadow.normalBias = 0.02;
+    light.shadow.radius = 8;
+    setShadowExtent(light, extent);
+}
+
+// Widen or narrow the area a key light casts shadows over (e.g. for walking around)
+export function setShadowExtent(light, extent) {
+    const camera = light.shadow.camera;
+    camera.left = -extent;
+    camera.right = extent;
+    camera.top = extent;
+    camera.bottom = -extent;
+    camera.updateProjectionMatrix();
+}
+
+// Invisible floor that only shows the shadows falling on it, lying in the XZ plane
+export function createShadowPlane({ size = 4, opacity = 0.3 } = {}) {
+    const plane = new THREE.Mesh(
+        new THREE.PlaneGeometry(size, size),
+        new THREE.ShadowMaterial({ opacity, transparent: true })
+    );
+    plane.name = 'ShadowPlane';
+    plane.rotation.x = -Math.PI / 2;
+    plane.receiveShadow = true;
+    return plane;
+}
+
+// Light estimate from a WebXR XRLightEstimate (frame.getLightEstimate(lightProbe)).
+// Light directions and intensities there are in the session's reference space and linear RGB.
+export function lightEstimateFromXR(xrEstimate) {
+    const direction = xrEstimate.primaryLightDirection;
+    const intensity = xrEstimate.primaryLightIntensity;
+    const peak = Math.max(intensity.x, intensity.y, intensity.z, 1e-3);
+
+    const estimate = {
+        direction: { x: direction.x, y: direction.y, z: direction.z },
+        color: new THREE.Color(intensity.x / peak, intensity.y / peak, intensity.z / peak),
+        intensity: peak
+    };
+
+    // The first spherical harmonics band is the average incoming light
+    const sh = xrEstimate.sphericalHarmonicsCoefficients;
+    if (sh && sh.length >= 3) {
+        const ambientPeak = Math.max(sh[0], sh[1], sh[2], 1e-3);
+        estimate.ambientColor = new THREE.Color(sh[0] / ambientPeak, sh[1] / ambientPeak, sh[2] / ambientPeak);
+        estimate.ambientIntensity = ambientPeak;
+    }
+    return estimate;
+}
+
+// Rough light estimate from a camera frame (video, canvas or image): the average colour sets the tint
+// and brightness, and the bright side of the frame sets the direction. Reuses options.canvas when given.
+export function estimateLightFromImage(source, { size = 16, canvas = null, maxIntensity = 2.5 } = {}) {
+    const sampler = canvas || document.createElement('canvas');
+    sampler.width = size;
+    sampler.height = size;
+
+    const context = sampler.getContext('2d', { willReadFrequently: true });
+    context.drawImage(source, 0, 0, size, size);
+    const pixels = context.getImageData(0, 0, size, size).data;
+
+    let r = 0, g = 0, b = 0, total = 0, centroidX = 0, centroidY = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const i = (y * size + x) * 4;
+            const luminance = 0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2];
+            r += pixels[i];
+            g += pixels[i + 1];
+            b += pixels[i + 2];
+            total += luminance;
+            centroidX += luminance * (x / (size - 1) - 0.5);
+            centroidY += luminance * (y / (size - 1) - 0.5);
+        }
+    }
+
+    const count = size * size;
+    const average = total / count / 255;
+    const peak = Math.max(r, g, b, 1);
+
+    // The rear camera looks the way the avatar faces the user: a bright right side lights the scene from +X
+    const lean = total > 0 ? { x: centroidX / total, y: centroidY / total } : { x: 0, y: 0 };
+    return {
+        direction: { x: lean.x * 4, y: 1.5 - lean.y * 2, z: 1 },
+        color: new THREE.Color(r / peak, g / peak, b / peak),
+        intensity: average * maxIntensity,
+        ambientIntensity: average * 0.8
+    };
+}
@@ -0,0 +1,460 @@
+// VRM Lip Sync - Drives the aa/ih/ou/ee/oh mouth expressions from audio or viseme timings
+// Audio analysis uses a Web Audio AnalyserNode; everything runs locally without network access
+
+import { createLogger } from './vrm-logger.js';
+
+export const VISEME_NAMES = ['aa', 'ih', 'ou', 'ee', 'oh'];
+
+// Phoneme / viseme labels accepted by the text-timing mode, mapped to VRM mouth expressions.
+// Covers ARPAbet (CMU dict, most offline TTS engines), Japanese vowels and Polly-style viseme codes.
+const PHONEME_TO_VISEME = {
+    // VRM names
+    aa: 'aa', ih: 'ih', ou: 'ou', ee: 'ee', oh: 'oh',
+
+    // Plain vowels (Japanese a-i-u-e-o, Polly visemes)
+    a: 'aa', i: 'ih', u: 'ou', e: 'ee', o: 'oh',
+    '@': 'aa', E: 'ee', O: 'oh',
+
+    // ARPAbet vowels
+    AA: 'aa', AE: 'aa', AH: 'aa', AY: 'aa', AW: 'aa',
+    EH: 'ee', EY: 'ee', ER: 'ee',
+    IH: 'ih', IY: 'ih',
+    AO: 'oh', OW: 'oh', OY: 'oh',
+    UH: 'ou', UW: 'ou',
+
+    // Rounded consonants keep the lips forward
+    W: 'ou', R: 'ou',
+
+    // Lip-teeth and open consonants get a small opening
+    CH: 'ih', JH: 'ih', SH: 'ih', ZH: 'ih', Y: 'ih',
+    S: 'ih', Z: 'ih', T: 'ih', D: 'ih', N: 'ih', L: 'aa',
+    K: 'aa', G: 'aa', HH: 'aa', NG: 'aa', TH: 'ih', DH: 'ih'
+};
+
+// Consonants that close or nearly close the mouth
+const CLOSED_PHONEMES = new Set(['sil', 'sp', 'pau', 'P', 'B', 'M', 'F', 'V', 'p', 'f']);
+
+// Frequency bands (Hz) used to estimate vowel shape from the spectrum
+const BAND_LOW = [200, 800];      // First formant region - rounded vowels
+const BAND_MID = [800, 1600];     // Open vowels
+const BAND_HIGH = [1600, 3200];   // Second formant region - front vowels
+
+// Media element -> { source: its MediaElementAudioSourceNode, owner: the LipSync analyzing it }.
+// An element can feed only one AudioContext ever, so lip syncs that share an element (e.g. the agents
+// of an AvatarStage) must share the context too.
+const mediaSourceCache = new WeakMap();
+
+export class LipSync {
+    constructor(options = {}) {
+        this.audioContext = options.audioContext || null;
+        this.ownsContext = !this.audioContext;        // Close it on dispose() only if this lip sync creates it
+        this.logger = options.logger || createLogger();
+        this.analyser = null;
+        this.frequencyData = null;
+        this.timeDomainData = null;
+
+        // Analysis tuning
+        this.gain = options.gain ?? 4.0;              // Volume to mouth-opening multiplier
+        this.threshold = options.threshold ?? 0.02;   // RMS below this is treated as silence
+        this.attack = options.attack ?? 18.0;         // Opening speed (per second)
+        this.release = options.release ?? 10.0;       // Closing speed (per second)
+        this.maxWeight = options.maxWeight ?? 1.0;
+
+        // Active sources
+        this.mediaElement = null;
+        this.mediaPlayback = null;     // { element, resolve } while speak() plays a media element
+        this.bufferSource = null;
+        this.bufferStartTime = 0;
+        this.speakId = 0;              // Bumped by stop() - a speak() still loading its audio then gives up
+
+        // Text-timing mode
+        this.cues = null;
+        this.cueTime = 0;
+        this.cueIndex = 0;
+        this.cueDuration = 0;
+        this.cueResolve = null;
+        this.cueClock = null;          // Buffer source or media element the cues follow, null for the timer
+
+        this.weights = { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 };
+        this.targetWeights = { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 };
+    }
+
+    // Lazily create the audio graph - browsers only allow this after a user gesture
+    ensureAudioGraph() {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = new AudioContextClass();
+        }
+
+        if (!this.analyser) {
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 1024;
+            this.analyser.smoothingTimeConstant = 0.5;
+            this.analyser.connect(this.audioContext.destination);
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+            this.timeDomainData = new Float32Array(this.analyser.fftSize);
+        }
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        return this.analyser;
+    }
+
+    // Analyze an <audio>/<video> element while it plays, until it ends or stop(); the element keeps its own controls
+    attachAudio(mediaElement) {
+        const analyser = this.ensureAudioGraph();
+
+        // createMediaElementSource may only be called once per element
+        let entry = mediaSourceCache.get(mediaElement);
+        if (entry && entry.source.context !== this.audioContext) {
+            throw new Error('Media element is already connected to another AudioContext - share one through options.audioContext');
+        }
+        if (!entry) {
+            entry = { source: this.audioContext.createMediaElementSource(mediaElement), owner: null };
+            mediaSourceCache.set(mediaElement, entry);
+        }
+
+        // One lip sync at a time - the element moves to the new speaker and keeps playing
+        if (entry.owner && entry.owner !== this) {
+            entry.owner.releaseMedia(mediaElement);
+        }
+        entry.owner = this;
+
+        const source = entry.source;
+        source.disconnect();
+        source.connect(analyser);
+        this.mediaElement = mediaElement;
+        mediaElement.addEventListener('ended', () => {
+            if (this.mediaElement === mediaElement) this.detachAudio();
+        }, { once: true });
+
+        this.logger.debug('Lip sync attached to media element');
+        return source;
+    }
+
+    // Stop analyzing the attached media element
+    detachAudio() {
+        if (!this.mediaElement) return;
+
+        const entry = mediaSourceCache.get(this.mediaElement);
+        if (entry && entry.owner === this) {
+            // Keep the element audible after detaching
+            entry.source.disconnect();
+            entry.source.connect(this.audioContext.destination);
+            entry.owner = null;
+        }
+        this.mediaElement = null;
+    }
+
+    // Another lip sync took the element over: let go of it without pausing or rerouting it
+    releaseMedia(mediaElement) {
+        if (this.mediaElement !== mediaElement) return;
+
+        if (this.mediaPlayback && this.mediaPlayback.element === mediaElement) {
+            const { resolve } = this.mediaPlayback;
+            this.mediaPlayback = null;
+            resolve(false);
+        }
+        if (this.cueClock === mediaElement) {
+            this.cues = null;
+            this.cueClock = null;
+        }
+        this.mediaElement = null;
+    }
+
+    // Play and lip-sync a sound.
+    // source: HTMLMediaElement, AudioBuffer, ArrayBuffer, Blob/File or a (local) URL string.
+    // options.onStart(clock) runs once sound is actually playing, with the buffer source or media element.
+    // Resolves when playback ends, or false if stopped early.
+    async speak(source, { onStart = null } = {}) {
+        this.stop();
+        const speakId = this.speakId;
+
+        if (typeof HTMLMediaElement !== 'undefined' && source instanceof HTMLMediaElement) {
+            this.attachAudio(source);
+            return new Promise((resolve, reject) => {
+                const playback = { element: source, resolve };
+                this.mediaPlayback = playback;
+                source.addEventListener('ended', () => {
+                    if (this.mediaPlayback !== playback) return;
+                    this.mediaPlayback = null;
+                    resolve(true);
+                }, { once: true });
+
+                source.play().then(() => {
+                    if (this.mediaPlayback === playback && onStart) onStart(source);
+                }, (error) => {
+                    // stop() while play() was pending already settled it
+                    if (this.mediaPlayback !== playback) return;
+                    this.mediaPlayback = null;
+                    this.detachAudio();
+                    reject(error);
+                });
+            });
+        }
+
+        const audioBuffer = await this.decodeAudio(source);
+        // stop() or another speak() while fetching / decoding - never start this one
+        if (speakId !== this.speakId) return false;
+
+        const analyser = this.ensureAudioGraph();
+
+        const bufferSource = this.audioContext.createBufferSource();
+        bufferSource.buffer = audioBuffer;
+        bufferSource.connect(analyser);
+
+        this.bufferSource = bufferSource;
+        this.bufferStartTime = this.audioContext.currentTime;
+
+        return new Promise((resolve) => {
+            bufferSource.onended = () => {
+                const completed = this.bufferSource === bufferSource;
+                if (completed) {
+                    this.bufferSource = null;
+                }
+                resolve(completed);
+            };
+            bufferSource.start();
+            if (onStart) onStart(bufferSource);
+        });
+    }
+
+    // Decode anything speak() accepts into an AudioBuffer
+    async decodeAudio(source) {
+        if (typeof AudioBuffer !== 'undefined' && source instanceof AudioBuffer) {
+            return source;
+        }
+
+        this.ensureAudioGraph();
+
+        let arrayBuffer = source;
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Failed to load audio: ${response.status} ${response.statusText}`);
+            }
+            arrayBuffer = await response.arrayBuffer();
+        } else if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            arrayBuffer = await source.arrayBuffer();
+        }
+
+        if (!(arrayBuffer instanceof ArrayBuffer)) {
+            throw new Error('Unsupported audio source for lip sync');
+        }
+
+        return this.audioContext.decodeAudioData(arrayBuffer);
+    }
+
+    // Text-timing mode: drive the mouth from viseme/phoneme cues instead of the spectrum.
+    // cues: [{ time, duration?, viseme | phoneme, weight? }] with times in seconds.
+    // options.audio: optional source to play alongside - cue times then follow its playback clock.
+    speakWithTimings(cues, { audio = null } = {}) {
+        this.stop();
+
+        const timeline = cues
+            .map((cue, index) => {
+                const label = cue.viseme ?? cue.phoneme ?? 'sil';
+                const next = cues[index + 1];
+                const end = cue.duration !== undefined
+                    ? cue.time + cue.duration
+                    : (next ? next.time : cue.time + 0.15);
+                return {
+                    start: cue.time,
+                    end,
+                    viseme: resolveViseme(label),
+                    weight: cue.weight ?? 1.0
+                };
+            })
+            .sort((a, b) => a.start - b.start);
+
+        const startCues = (clock) => {
+            this.cues = timeline;
+            this.cueTime = 0;
+            this.cueIndex = 0;
+            this.cueDuration = timeline.length ? timeline[timeline.length - 1].end : 0;
+            this.cueClock = clock;
+        };
+
+        // With audio the cues start with the sound, not while it is still loading and decoding
+        if (audio) {
+            return this.speak(audio, { onStart: startCues }).then((completed) => {
+                if (this.cues === timeline) {
+                    this.cues = null;
+                    this.cueClock = null;
+                }
+                return completed;
+            });
+        }
+
+        startCues(null);
+        return new Promise((resolve) => {
+            this.cueResolve = resolve;
+        });
+    }
+
+    // Stop all playback and close the mouth
+    stop() {
+        this.speakId++;
+
+        if (this.bufferSource) {
+            const bufferSource = this.bufferSource;
+            this.bufferSource = null;
+            bufferSource.stop();
+        }
+
+        if (this.mediaPlayback) {
+            const { element, resolve } = this.mediaPlayback;
+            this.mediaPlayback = null;
+            element.pause();
+            resolve(false);
+        }
+        this.detachAudio();
+
+        if (this.cueResolve) {
+            this.cueResolve(false);
+            this.cueResolve = null;
+        }
+        this.cues = null;
+        this.cueClock = null;
+
+        VISEME_NAMES.forEach(name => {
+            this.targetWeights[name] = 0;
+        });
+    }
+
+    // Current playback time for cue lookup - the clock of the audio the cues started with, else the timer
+    getPlaybackTime() {
+        if (this.cueClock && this.cueClock === this.bufferSource) {
+            return this.audioContext.currentTime - this.bufferStartTime;
+        }
+        if (this.cueClock && this.cueClock === this.mediaElement) {
+            return this.mediaElement.currentTime;
+        }
+        return this.cueTime;
+    }
+
+    // Whether the mouth is moving or about to - playing audio, running cues or still closing
+    isActive() {
+        if (this.cues || this.bufferSource || (this.mediaElement && !this.mediaElement.paused)) return true;
+        return VISEME_NAMES.some(name => this.weights[name] > 0.001);
+    }
+
+    // Advance analysis and smoothing; returns the mouth weights for this frame
+    update(deltaTime) {
+        if (this.cues) {
+            this.cueTime += deltaTime;
+            this.updateFromCues(this.getPlaybackTime());
+        } else if (this.analyser && (this.bufferSource || (this.mediaElement && !this.mediaElement.paused))) {
+            this.updateFromSpectrum();
+        } else {
+            VISEME_NAMES.forEach(name => {
+                this.targetWeights[name] = 0;
+            });
+        }
+
+        // Fast attack, slower release - frame-rate independent
+        VISEME_NAMES.forEach(name => {
+            const target = this.targetWeights[name];
+            const rate = target > this.weights[name] ? this.attack : this.release;
+            const blend = 1 - Math.exp(-rate * deltaTime);
+            this.weights[name] += (target - this.weights[name]) * blend;
+        });
+
+        return this.weights;
+    }
+
+    // Pick the active cue for the given time
+    updateFromCues(time) {
+        VISEME_NAMES.forEach(name => {
+            this.targetWeights[name] = 0;
+        });
+
+        while (this.cueIndex < this.cues.length && this.cues[this.cueIndex].end <= time) {
+            this.cueIndex++;
+        }
+
+        const cue = this.cues[this.cueIndex];
+        if (cue && cue.start <= time && cue.viseme) {
+            this.targetWeights[cue.viseme] = Math.min(cue.weight, this.maxWeight);
+        }
+
+        // Timer-driven cues finish on their own
+        if (this.cueResolve && time >= this.cueDuration) {
+            const resolve = this.cueResolve;
+            this.cueResolve = null;
+            this.cues = null;
+            resolve(true);
+        }
+    }
+
+    // Estimate mouth opening from loudness and vowel shape from spectral band energy
+    updateFromSpectrum() {
+        this.analyser.getFloatTimeDomainData(this.timeDomainData);
+        this.analyser.getByteFrequencyData(this.frequencyData);
+
+        let sumSquares = 0;
+        for (let i = 0; i < this.timeDomainData.length; i++) {
+            sumSquares += this.timeDomainData[i] * this.timeDomainData[i];
+        }
+        const rms = Math.sqrt(sumSquares / this.timeDomainData.length);
+        const volume = rms < this.threshold ? 0 : Math.min((rms - this.threshold) * this.gain * 10, 1);
+
+        const low = this.getBandEnergy(BAND_LOW);
+        const mid = this.getBandEnergy(BAND_MID);
+        const high = this.getBandEnergy(BAND_HIGH);
+        const total = low + mid + high || 1;
+
+        const lowShare = low / total;
+        const midShare = mid / total;
+        const highShare = high / total;
+        const open = volume * this.maxWeight;
+
+        this.targetWeights.aa = open * midShare;
+        this.targetWeights.oh = open * lowShare * 0.6;
+        this.targetWeights.ou = open * lowShare * 0.4;
+        this.targetWeights.ee = open * highShare * 0.6;
+        this.targetWeights.ih = open * highShare * 0.4;
+    }
+
+    // Average magnitude (0..1) of the spectrum between two frequencies
+    getBandEnergy([minFrequency, maxFrequency]) {
+        const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+        const start = Math.max(0, Math.floor(minFrequency / binWidth));
+        const end = Math.min(this.frequencyData.length - 1, Math.ceil(maxFrequency / binWidth));
+
+        let sum = 0;
+        for (let i = start; i <= end; i++) {
+            sum += this.frequencyData[i];
+        }
+        return sum / ((end - start + 1) * 255);
+    }
+
+    // Release the audio graph
+    dispose() {
+        this.stop();
+        this.detachAudio();
+        if (this.analyser) {
+            this.analyser.disconnect();
+            this.analyser = null;
+        }
+        if (this.ownsContext && this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
+
+// Map a viseme or phoneme label (with optional ARPAbet stress digit) to a VRM mouth expression
+export function resolveViseme(label) {
+    if (!label) return null;
+    if (CLOSED_PHONEMES.has(label)) return null;
+
+    const direct = PHONEME_TO_VISEME[label];
+    if (direct) return direct;
+
+    const arpabet = label.toUpperCase().replace(/[0-2]$/, '');
+    if (CLOSED_PHONEMES.has(arpabet)) return null;
+    return PHONEME_TO_VISEME[arpabet] || PHONEME_TO_VISEME[label.toLowerCase()] || null;
+}
@@ -0,0 +1,48 @@
+// VRM Logger - Leveled diagnostics for the avatar modules
+// Silent by default so production consoles stay clean; raise the level while developing
+
+export const LOG_LEVELS = {
+    silent: 0,
+    error: 1,
+    warn: 2,
+    info: 3,
+    debug: 4
+};
+
+// Create a logger writing to sink (console by default) with an optional [prefix]
+// createLogger({ level: 'debug', prefix: 'VRMAvatar' }).info('Model loaded')
+export function createLogger({ level = 'silent', prefix = null, sink = console } = {}) {
+    const logger = {
+        level: 'silent',
+
+        setLevel(newLevel) {
+            if (LOG_LEVELS[newLevel] === undefined) {
+                throw new Error(`Unknown log level "${newLevel}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+            }
+            logger.level = newLevel;
+        },
+
+        isEnabled(messageLevel) {
+            return LOG_LEVELS[messageLevel] <= LOG_LEVELS[logger.level];
+        },
+
+        error: (...args) => write('error', args),
+        warn: (...args) => write('warn', args),
+        info: (...args) => write('info', args),
+        debug: (...args) => write('debug', args)
+    };
+
+    function write(messageLevel, args) {
+        if (!logger.isEnabled(messageLevel)) return;
+
+        const method = sink[messageLevel] || sink.log;
+        if (prefix) {
+            method.call(sink, `[${prefix}]`, ...args);
+        } else {
+            method.call(sink, ...args);
+        }
+    }
+
+    logger.setLevel(level);
+    return logger;
+}
@@ -0,0 +1,156 @@
+// VRM Navigation - Route following and floor helpers for the navigation scene mode
+// Routes are polylines on the floor (XZ plane); headings are yaw angles where 0 faces +Z
+
+import * as THREE from 'three';
+import { createShadowPlane } from './vrm-lighting.js';
+
+const DEFAULT_DECISION_PAUSE = 1.2;     // Seconds to pause at decision points without an explicit pause
+
+// Normalize waypoints given as Vector3, [x, y, z], [x, z] or { x, y, z, pause, decision, name }
+// into { position, pause, decision, name, index }
+export function normalizeWaypoints(waypoints, { decisionPause = DEFAULT_DECISION_PAUSE } = {}) {
+    return waypoints.map((waypoint, index) => {
+        let position;
+        let options = {};
+
+        if (waypoint.isVector3) {
+            position = waypoint.clone();
+        } else if (Array.isArray(waypoint)) {
+            position = waypoint.length === 2
+                ? new THREE.Vector3(waypoint[0], 0, waypoint[1])
+                : new THREE.Vector3(waypoint[0], waypoint[1], waypoint[2]);
+        } else if (waypoint && typeof waypoint === 'object') {
+            const source = waypoint.position || waypoint;
+            position = new THREE.Vector3(source.x || 0, source.y || 0, source.z || 0);
+            options = waypoint;
+        } else {
+            throw new Error(`Invalid waypoint at index ${index}`);
+        }
+
+        const decision = !!options.decision;
+        return {
+            position,
+            pause: options.pause ?? (decision ? decisionPause : 0),
+            decision,
+            name: options.name || null,
+            index
+        };
+    });
+}
+
+// Shortest signed angle from one yaw to another
+export function angleDifference(from, to) {
+    return THREE.MathUtils.euclideanModulo(to - from + Math.PI, Math.PI * 2) - Math.PI;
+}
+
+// Walks a position and heading along a route - no rendering, shared by the avatar and arrow guides
+export class RouteFollower {
+    constructor(waypoints, startPosition, startHeading = 0, options = {}) {
+        this.waypoints = normalizeWaypoints(waypoints, options);
+        this.speed = options.speed ?? 1.0;                       // meters per second
+        this.turnSpeed = options.turnSpeed ?? Math.PI;           // radians per second
+        this.turnInPlaceAngle = options.turnInPlaceAngle ?? 1.0; // stop and turn when the corner is sharper than this
+        this.arrivalDistance = options.arrivalDistance ?? 0.05;
+
+        this.position = startPosition.clone();
+        this.heading = startHeading;
+        this.targetIndex = 0;
+        this.pauseRemaining = 0;
+        this.moving = false;
+        this.done = this.waypoints.length === 0;
+    }
+
+    // Waypoint currently walked towards (null once finished)
+    getCurrentWaypoint() {
+        return this.done ? null : this.waypoints[this.targetIndex];
+    }
+
+    // Advance by deltaTime; returns the events that happened this step
+    // ({ type: 'waypointReached', waypoint } / { type: 'routeComplete' })
+    update(deltaTime) {
+        const events = [];
+        this.moving = false;
+        if (this.done) return events;
+
+        if (this.pauseRemaining > 0) {
+            this.pauseRemaining -= deltaTime;
+            return events;
+        }
+
+        const waypoint = this.waypoints[this.targetIndex];
+        const dx = waypoint.position.x - this.position.x;
+        const dz = waypoint.position.z - this.position.z;
+        const distance = Math.hypot(dx, dz);
+
+        if (distance > this.arrivalDistance) {
+            // Turn towards the waypoint; only walk once roughly facing it
+            const turn = angleDifference(this.heading, Math.atan2(dx, dz));
+            const maxTurn = this.turnSpeed * deltaTime;
+            this.heading += THREE.MathUtils.clamp(turn, -maxTurn, maxTurn);
+
+            if (Math.abs(turn) < this.turnInPlaceAngle) {
+                const step = Math.min(this.speed * deltaTime, distance);
+                this.position.x += dx / distance * step;
+                this.position.z += dz / distance * step;
+                this.position.y += (waypoint.position.y - this.position.y) * step / distance;
+                this.moving = true;
+            }
+            return events;
+        }
+
+        this.position.copy(waypoint.position);
+        this.pauseRemaining = waypoint.pause;
+        events.push({ type: 'waypointReached', waypoint });
+
+        this.targetIndex++;
+        if (this.targetIndex >= this.waypoints.length) {
+            this.done = true;
+            events.push({ type: 'routeComplete' });
+        }
+        return events;
+    }
+}
+
+// Floor for the navigation scene - a grid plus a plane that catches the avatar's shadow
+export function createNavigationFloor({ size = 40, divisions = 40 } = {}) {
+    const floor = new THREE.Group();
+    floor.name = 'NavigationFloor';
+
+    const grid = new THREE.GridHelper(size, divisions, 0x8899aa, 0xc8d0d8);
+    grid.material.transparent = true;
+    grid.material.opacity = 0.6;
+    floor.add(grid);
+
+    const shadowPlane = createShadowPlane({ size, opacity: 0.25 });
+    shadowPlane.position.y = 0.001;
+    floor.add(shadowPlane);
+
+    return floor;
+}
+
+// Route polyline drawn just above the floor, with a marker per waypoint
+export function createRouteLine(waypoints, { color = 0x2f80ed, height = 0.02 } = {}) {
+    const points = normalizeWaypoints(waypoints);
+    const route = new THREE.Group();
+    route.name = 'NavigationRoute';
+
+    const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points.map(point => point.position.clone().setY(point.position.y + height))),
+        new THREE.LineBasicMaterial({ color })
+    );
+    route.add(line);
+
+    const markerGeometry = new THREE.CircleGeometry(0.08, 24);
+    points.forEach(point => {
+        const marker = new THREE.Mesh(markerGeometry, new THREE.MeshBasicMaterial({
+            color: point.decision ? 0xf2994a : color,
+            transparent: true,
+            opacity: 0.8
+        }));
+        marker.rotation.x = -Math.PI / 2;
+        marker.position.copy(point.position).setY(point.position.y + height);
+        route.add(marker);
+    });
+
+    return route;
+}
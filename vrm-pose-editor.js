@@ -0,0 +1,346 @@
+// VRM Pose Editor - Click a bone handle, rotate it with a gizmo, undo/redo, mirror and export .vroidpose
+// Edits the avatar's rest pose (normalized humanoid bones); procedural motion is held while editing
+//
+// Keyboard: [ / ] select the previous / next bone, arrow keys turn it (Shift+Left/Right rolls, Alt for fine steps),
+// Ctrl+Z / Ctrl+Y undo and redo, Escape deselects
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { mirrorRotation } from './vrm-hand-presets.js';
+import { isEditableTarget } from './vrm-accessibility.js';
+
+const HANDLE_COLOR = 0x2f80ed;
+const SELECTED_COLOR = 0xf2994a;
+const HISTORY_LIMIT = 100;
+const KEY_ROTATION_STEP = THREE.MathUtils.degToRad(5);
+
+// Arrow key -> [local axis, direction]; Shift turns Left/Right into a roll about z
+const KEY_ROTATIONS = {
+    ArrowUp: ['x', -1],
+    ArrowDown: ['x', 1],
+    ArrowLeft: ['y', 1],
+    ArrowRight: ['y', -1]
+};
+const AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+
+export class PoseEditor {
+    // options.handleSize: handle radius in meters (fingers get half), options.space: 'local' or 'world' gizmo axes
+    constructor(avatar, { handleSize = 0.025, space = 'local' } = {}) {
+        this.avatar = avatar;
+        this.handleSize = handleSize;
+        this.space = space;
+
+        this.controls = null;
+        this.handles = [];
+        this.selectedBone = null;
+        this.undoStack = [];           // { before, after, mirrored } rotation maps per edit
+        this.redoStack = [];
+        this.dragStart = null;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.containerPointerEvents = null;
+        this.canvasTabIndex = null;
+        this.listeners = [];
+    }
+
+    enable() {
+        const avatar = this.avatar;
+        const canvas = avatar.renderer.domElement;
+
+        this.controls = new TransformControls(avatar.camera, canvas);
+        this.controls.setMode('rotate');
+        this.controls.setSpace(this.space);
+        this.controls.setSize(0.6);
+        this.controls.addEventListener('mouseDown', () => this.beginEdit());
+        this.controls.addEventListener('mouseUp', () => this.endEdit());
+        this.controls.addEventListener('objectChange', () => this.storeSelectedRotation());
+        this.controls.addEventListener('change', () => avatar.requestRender());
+        avatar.scene.add(this.controls);
+
+        this.createHandles();
+
+        // The page container ignores the pointer so it never blocks the page - the editor needs it
+        if (avatar.container) {
+            this.containerPointerEvents = avatar.container.style.pointerEvents;
+            avatar.container.style.pointerEvents = 'auto';
+        }
+        // Focusable, so keyboard users can reach the editor
+        this.canvasTabIndex = canvas.getAttribute('tabindex');
+        canvas.tabIndex = 0;
+
+        this.listen(canvas, 'pointerdown', (event) => this.handlePointerDown(event));
+        this.listen(window, 'keydown', (event) => this.handleKeyDown(event));
+        avatar.requestRender();
+    }
+
+    disable() {
+        const avatar = this.avatar;
+
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+
+        if (this.controls) {
+            this.controls.detach();
+            avatar.scene.remove(this.controls);
+            this.controls.dispose();
+            this.controls = null;
+        }
+
+        this.handles.forEach(handle => {
+            handle.removeFromParent();
+            handle.geometry.dispose();
+            handle.material.dispose();
+        });
+        this.handles = [];
+        this.selectedBone = null;
+
+        if (avatar.container && this.containerPointerEvents !== null) {
+            avatar.container.style.pointerEvents = this.containerPointerEvents;
+            this.containerPointerEvents = null;
+        }
+        const canvas = avatar.renderer.domElement;
+        if (this.canvasTabIndex === null) {
+            canvas.removeAttribute('tabindex');
+        } else {
+            canvas.setAttribute('tabindex', this.canvasTabIndex);
+        }
+        avatar.requestRender();
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    // One always-on-top sphere per posable bone, parented to the bone so it follows edits
+    createHandles() {
+        const humanoid = this.avatar.vrm.humanoid;
+
+        Object.keys(this.avatar.restPose).forEach(boneName => {
+            const bone = humanoid.getNormalizedBoneNode(boneName);
+            if (!bone) return;
+
+            const radius = /Thumb|Index|Middle|Ring|Little/.test(boneName) ? this.handleSize * 0.5 : this.handleSize;
+            const handle = new THREE.Mesh(
+                new THREE.SphereGeometry(radius, 12, 8),
+                new THREE.MeshBasicMaterial({ color: HANDLE_COLOR, depthTest: false, transparent: true, opacity: 0.8 })
+            );
+            handle.name = `PoseHandle_${boneName}`;
+            handle.renderOrder = 999;
+            handle.userData.boneName = boneName;
+            bone.add(handle);
+            this.handles.push(handle);
+        });
+    }
+
+    handlePointerDown(event) {
+        // A press on the gizmo is a drag, not a new selection
+        if (event.button !== 0 || (this.controls && this.controls.axis !== null)) return;
+
+        const rect = this.avatar.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.avatar.camera);
+
+        const hit = this.raycaster.intersectObjects(this.handles, false)[0];
+        this.select(hit ? hit.object.userData.boneName : null);
+    }
+
+    handleKeyDown(event) {
+        if (event.defaultPrevented || isEditableTarget(event.target)) return;
+
+        const modifier = event.ctrlKey || event.metaKey;
+        if (modifier && event.key.toLowerCase() === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) this.redo();
+            else this.undo();
+        } else if (modifier && event.key.toLowerCase() === 'y') {
+            event.preventDefault();
+            this.redo();
+        } else if (event.key === 'Escape') {
+            this.select(null);
+        } else if (!modifier && (event.key === '[' || event.key === ']')) {
+            event.preventDefault();
+            this.selectNext(event.key === ']' ? 1 : -1);
+        } else if (!modifier && this.selectedBone && KEY_ROTATIONS[event.key]) {
+            event.preventDefault();
+            const [axis, direction] = KEY_ROTATIONS[event.key];
+            const rollAxis = event.shiftKey && axis === 'y' ? 'z' : axis;
+            this.rotateSelected(rollAxis, direction * KEY_ROTATION_STEP * (event.altKey ? 0.2 : 1));
+        }
+    }
+
+    // Select the bone after (direction 1) or before (-1) the selected one, in handle order
+    selectNext(direction = 1) {
+        const boneNames = this.handles.map(handle => handle.userData.boneName);
+        if (boneNames.length === 0) return false;
+
+        const index = boneNames.indexOf(this.selectedBone);
+        const start = index < 0 ? (direction > 0 ? -1 : 0) : index;
+        const next = (start + direction + boneNames.length) % boneNames.length;
+        return this.select(boneNames[next]);
+    }
+
+    // Turn the selected bone about one of its local axes ('x', 'y', 'z') by angle radians - one undo step
+    rotateSelected(axis, angle) {
+        const boneName = this.selectedBone;
+        const rest = boneName && this.avatar.restPose[boneName];
+        if (!rest) return false;
+
+        const before = this.captureRotations([boneName]);
+        const rotated = rest.quaternion.clone().multiply(new THREE.Quaternion().setFromAxisAngle(AXES[axis], angle));
+        this.applyRotations({ [boneName]: rotated });
+        this.pushHistory(before, this.captureRotations([boneName]));
+        return true;
+    }
+
+    // Attach the rotation gizmo to a humanoid bone (VRM name), null to deselect
+    select(boneName) {
+        this.handles.forEach(handle => {
+            handle.material.color.set(handle.userData.boneName === boneName ? SELECTED_COLOR : HANDLE_COLOR);
+        });
+
+        const bone = boneName ? this.avatar.vrm.humanoid.getNormalizedBoneNode(boneName) : null;
+        this.selectedBone = bone ? boneName : null;
+        if (bone) {
+            this.controls.attach(bone);
+        } else {
+            this.controls.detach();
+        }
+        this.avatar.requestRender();
+        return !!bone;
+    }
+
+    beginEdit() {
+        if (!this.selectedBone) return;
+        this.dragStart = this.captureRotations([this.selectedBone]);
+    }
+
+    endEdit() {
+        if (!this.dragStart) return;
+
+        const after = this.captureRotations(Object.keys(this.dragStart));
+        this.pushHistory(this.dragStart, after);
+        this.dragStart = null;
+    }
+
+    // The gizmo turned the bone - make it the rest pose so the frame loop keeps it
+    storeSelectedRotation() {
+        const boneName = this.selectedBone;
+        const rest = boneName && this.avatar.restPose[boneName];
+        if (!rest) return;
+
+        rest.quaternion.copy(this.avatar.vrm.humanoid.getNormalizedBoneNode(boneName).quaternion);
+    }
+
+    captureRotations(boneNames) {
+        const rotations = {};
+        boneNames.forEach(boneName => {
+            const rest = this.avatar.restPose[boneName];
+            if (rest) rotations[boneName] = rest.quaternion.clone();
+        });
+        return rotations;
+    }
+
+    // mirrorHips: also flip the hips translation (undoing or redoing a mirror)
+    applyRotations(rotations, mirrorHips = false) {
+        const restPose = this.avatar.restPose;
+        Object.keys(rotations).forEach(boneName => {
+            const rest = restPose[boneName];
+            if (rest) rest.quaternion.copy(rotations[boneName]);
+        });
+        if (mirrorHips && restPose.hips) {
+            restPose.hips.position.x *= -1;
+        }
+        this.avatar.applyRestPose();
+        this.avatar.requestRender();
+    }
+
+    pushHistory(before, after, mirrored = false) {
+        this.undoStack.push({ before, after, mirrored });
+        if (this.undoStack.length > HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return false;
+
+        this.applyRotations(entry.before, entry.mirrored);
+        this.redoStack.push(entry);
+        return true;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return false;
+
+        this.applyRotations(entry.after, entry.mirrored);
+        this.undoStack.push(entry);
+        return true;
+    }
+
+    // Swap left and right: paired bones trade mirrored rotations, centre bones mirror in place.
+    // Same axis flips as the right hand presets (see mirrorRotation). One undo step; the hips translation mirrors too.
+    mirrorPose() {
+        const boneNames = Object.keys(this.avatar.restPose);
+        const before = this.captureRotations(boneNames);
+        const after = {};
+
+        boneNames.forEach(boneName => {
+            const sourceName = getMirrorBoneName(boneName);
+            const source = before[sourceName] ? sourceName : boneName;
+            after[boneName] = mirrorRotation(before[source]);
+        });
+
+        this.applyRotations(after, true);
+        this.pushHistory(before, after, true);
+        return true;
+    }
+
+    // Current pose as .vroidpose JSON text (VRoid coordinate correction inverted, see getPoseBoneDefinition)
+    exportPose() {
+        return JSON.stringify({
+            Version: 1,
+            BoneDefinition: this.avatar.getPoseBoneDefinition()
+        }, null, 2);
+    }
+
+    // Save exportPose() as a file download
+    downloadPose(filename = 'pose.vroidpose') {
+        downloadVRoidPose(this.exportPose(), filename);
+    }
+}
+
+// Save .vroidpose JSON text as a file download (also used by VRMAvatar.downloadVRoidPose)
+export function downloadVRoidPose(json, filename) {
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// leftUpperArm <-> rightUpperArm; centre bones map to themselves
+function getMirrorBoneName(boneName) {
+    if (boneName.startsWith('left')) return `right${boneName.slice(4)}`;
+    if (boneName.startsWith('right')) return `left${boneName.slice(5)}`;
+    return boneName;
+}
@@ -0,0 +1,133 @@
+// VRM Service Worker - Keeps the avatar, its poses and the libraries it imports working offline
+// Register with registerServiceWorker() from vrm-assets.js. Plain script - service workers can't use the importmap.
+//
+//   Models, poses, clips, textures   cache first, in the asset cache shared with AssetCache - never revalidated,
+//                                    a file replaced under the same URL needs an ASSET_CACHE_VERSION bump
+//   Versioned CDN modules (unpkg)    cache first - a versioned URL never changes
+//   The page, styles and modules     network first, the cached copy when offline
+
+// Bump APP_CACHE to refresh the page files. ASSET_CACHE is ASSET_CACHE_VERSION from vrm-assets.js,
+// passed in by registerServiceWorker() as ?assetVersion
+const APP_CACHE = 'vrm-app-v2';
+const ASSET_CACHE = 'vrm-assets-v' + (new URL(self.location.href).searchParams.get('assetVersion') || '1');
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './style.css',
+    './arrow-guide.js',
+    './navigation-guides.js',
+    './bim-navigation.js',
+    './vrm-accessibility.js',
+    './vrm-animation-loader.js',
+    './vrm-arm-ik.js',
+    './vrm-assets.js',
+    './vrm-avatar.js',
+    './vrm-emotions.js',
+    './vrm-gaze.js',
+    './vrm-guidance.js',
+    './vrm-hand-presets.js',
+    './vrm-input.js',
+    './vrm-lighting.js',
+    './vrm-lip-sync.js',
+    './vrm-logger.js',
+    './vrm-navigation.js',
+    './vrm-pose-editor.js',
+    './vrm-spring-bones.js',
+    './vrm-stage.js',
+    './vrm-xr.js',
+    './pose.vroidpose'
+];
+
+// The versioned modules of the importmap in index.html, everything they import and the decoders
+// vrm-assets.js loads. The first visit fetches them before this worker controls the page, so they are
+// precached - the fetch handler alone would leave an offline second visit without them.
+const THREE_BASE = 'https://unpkg.com/three@0.160.0/';
+const CDN_FILES = [
+    THREE_BASE + 'build/three.module.js',
+    ...[
+        'loaders/GLTFLoader.js',
+        'loaders/FBXLoader.js',
+        'loaders/BVHLoader.js',
+        'loaders/DRACOLoader.js',
+        'loaders/KTX2Loader.js',
+        'loaders/RGBELoader.js',
+        'loaders/EXRLoader.js',
+        'controls/TransformControls.js',
+        'curves/NURBSCurve.js',
+        'curves/NURBSUtils.js',
+        'utils/BufferGeometryUtils.js',
+        'utils/WorkerPool.js',
+        'libs/fflate.module.js',
+        'libs/ktx-parse.module.js',
+        'libs/zstddec.module.js',
+        'libs/meshopt_decoder.module.js',
+        'libs/draco/gltf/draco_decoder.js',
+        'libs/draco/gltf/draco_decoder.wasm',
+        'libs/draco/gltf/draco_wasm_wrapper.js',
+        'libs/basis/basis_transcoder.js',
+        'libs/basis/basis_transcoder.wasm'
+    ].map(path => THREE_BASE + 'examples/jsm/' + path),
+    'https://unpkg.com/@pixiv/three-vrm@2.0.6/lib/three-vrm.module.js',
+    'https://unpkg.com/@pixiv/three-vrm-animation@2.1.3/lib/three-vrm-animation.module.js'
+];
+
+const ASSET_EXTENSIONS = /\.(vrm|glb|gltf|bin|vrma|vroidpose|bvh|fbx|ktx2|hdr|exr)$/i;
+const CDN_HOSTS = ['unpkg.com'];
+
+self.addEventListener('install', (event) => {
+    // One missing file shouldn't keep the worker from installing
+    event.waitUntil(caches.open(APP_CACHE)
+        .then(cache => Promise.allSettled([...APP_SHELL, ...CDN_FILES].map(url => cache.add(url))))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [APP_CACHE, ASSET_CACHE];
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('vrm-') && !current.includes(name))
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+
+    const url = new URL(request.url);
+    if (ASSET_EXTENSIONS.test(url.pathname)) {
+        event.respondWith(cacheFirst(request, ASSET_CACHE));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, APP_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, APP_CACHE));
+    }
+});
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
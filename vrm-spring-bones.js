@@ -0,0 +1,247 @@
+// VRM Spring Bones - Steps the model's spring bones (hair, skirt) with tunable groups, wind and extra colliders
+// Takes the stepping over from vrm.update: clamped or fixed-timestep substeps keep the chains stable at any frame rate
+
+import * as THREE from 'three';
+import { VRMSpringBoneCollider, VRMSpringBoneColliderShapeCapsule, VRMSpringBoneColliderShapeSphere } from '@pixiv/three-vrm';
+
+// Joint groups by bone name (VRoid exports J_Sec_Hair1_01, J_Sec_L_SkirtBack0_01, J_Sec_L_Bust1, ...).
+// The first match wins; joints that match nothing are 'other'.
+export const SPRING_BONE_GROUPS = {
+    hair: /hair|bangs|ahoge/i,
+    skirt: /skirt|coat|dress|cloth/i,
+    bust: /bust|breast/i,
+    accessory: /ribbon|tail|ear|acc/i
+};
+
+export class SpringBoneController {
+    // options.fixedTimestep: seconds per substep (null steps once per frame with the frame time)
+    // options.maxSubsteps: substeps per frame at most - the rest of a long frame is dropped
+    // options.maxDeltaTime: longest frame simulated; longer gaps (tab switches) are cut to this
+    constructor(springBoneManager, { fixedTimestep = null, maxSubsteps = 4, maxDeltaTime = 1 / 15 } = {}) {
+        this.manager = springBoneManager;
+        this.fixedTimestep = fixedTimestep;
+        this.maxSubsteps = maxSubsteps;
+        this.maxDeltaTime = maxDeltaTime;
+
+        this.accumulator = 0;
+        this.time = 0;
+        this.groupSettings = {};       // group name -> settings given to setGroupSettings
+        this.wind = null;
+        this.colliders = [];           // Colliders added with addCollider, for removal
+
+        // Authored settings per joint, so tuning is always relative to the model
+        this.joints = [];
+        springBoneManager.joints.forEach(joint => {
+            this.joints.push({
+                joint,
+                group: getJointGroup(joint.bone.name),
+                defaults: { ...joint.settings, gravityDir: joint.settings.gravityDir.clone() },
+                gravity: new THREE.Vector3()
+            });
+        });
+        this.applySettings();
+    }
+
+    // Joint groups present on this model
+    getGroupNames() {
+        return [...new Set(this.joints.map(record => record.group))];
+    }
+
+    // Tune a group: 'hair', 'skirt', 'bust', 'accessory', 'other', 'all' or a RegExp on the bone name.
+    // stiffness, gravityPower, dragForce and hitRadius multiply the model's own values (1 = as authored);
+    // gravityDir ([x, y, z] or Vector3, world space) replaces the direction. null restores the authored settings.
+    setGroupSettings(group, settings) {
+        const key = group instanceof RegExp ? `/${group.source}/${group.flags}` : group;
+        if (settings) {
+            this.groupSettings[key] = { match: group, ...settings };
+        } else {
+            delete this.groupSettings[key];
+        }
+        this.applySettings();
+    }
+
+    // Recompute every joint from its authored settings and the group settings, in the order they were set
+    applySettings() {
+        this.joints.forEach(record => {
+            const { joint, defaults } = record;
+            const settings = joint.settings;
+            settings.stiffness = defaults.stiffness;
+            settings.dragForce = defaults.dragForce;
+            settings.hitRadius = defaults.hitRadius;
+            let gravityPower = defaults.gravityPower;
+            const gravityDir = defaults.gravityDir.clone();
+
+            Object.values(this.groupSettings).forEach(({ match, ...tuning }) => {
+                if (!matchesGroup(record, match)) return;
+
+                if (tuning.stiffness !== undefined) settings.stiffness = defaults.stiffness * tuning.stiffness;
+                if (tuning.dragForce !== undefined) settings.dragForce = THREE.MathUtils.clamp(defaults.dragForce * tuning.dragForce, 0, 1);
+                if (tuning.hitRadius !== undefined) settings.hitRadius = defaults.hitRadius * tuning.hitRadius;
+                if (tuning.gravityPower !== undefined) gravityPower = defaults.gravityPower * tuning.gravityPower;
+                if (tuning.gravityDir) gravityDir.copy(toVector3(tuning.gravityDir)).normalize();
+            });
+
+            // Gravity is kept as one vector so wind can be added to it
+            record.gravity.copy(gravityDir).multiplyScalar(gravityPower);
+            setGravity(settings, record.gravity);
+        });
+    }
+
+    // Procedural wind (e.g. outdoors in AR), pushing the chains like extra gravity. null turns it off.
+    // wind: { direction ([x, y, z], world space), strength, gustStrength, gustFrequency (Hz), turbulence }
+    setWind(wind) {
+        this.wind = wind ? {
+            direction: toVector3(wind.direction || [1, 0, 0]).normalize(),
+            strength: wind.strength ?? 0.3,
+            gustStrength: wind.gustStrength ?? 0.3,
+            gustFrequency: wind.gustFrequency ?? 0.4,
+            turbulence: wind.turbulence ?? 0.1
+        } : null;
+
+        if (!this.wind) {
+            this.joints.forEach(record => setGravity(record.joint.settings, record.gravity));
+        }
+    }
+
+    // Wind force at a world position - a steady push, gusts rolling along the wind direction and some flutter
+    getWindAt(position, time, target = new THREE.Vector3()) {
+        const wind = this.wind;
+        if (!wind) return target.set(0, 0, 0);
+
+        const phase = position.dot(wind.direction) * 1.5;
+        const cycle = Math.PI * 2 * wind.gustFrequency * time - phase;
+        const gust = (0.5 + 0.5 * Math.sin(cycle)) * (0.7 + 0.3 * Math.sin(cycle * 2.3 + 1.7));
+
+        target.copy(wind.direction).multiplyScalar(wind.strength + wind.gustStrength * gust);
+        target.x += Math.sin(time * 7.3 + position.y * 11.0) * wind.turbulence;
+        target.y += Math.sin(time * 5.9 + position.x * 13.0) * wind.turbulence * 0.5;
+        target.z += Math.sin(time * 6.7 + position.z * 9.0) * wind.turbulence;
+        return target;
+    }
+
+    // Push spring chains away from a sphere (or a capsule when tail is given) that moves with parent.
+    // options.offset / tail: [x, y, z] in parent space; options.group limits it to some joints (see setGroupSettings).
+    // Returns the collider for removeCollider().
+    addCollider(parent, { radius = 0.1, offset = [0, 0, 0], tail = null, group = 'all' } = {}) {
+        const shape = tail
+            ? new VRMSpringBoneColliderShapeCapsule({ radius, offset: toVector3(offset), tail: toVector3(tail) })
+            : new VRMSpringBoneColliderShapeSphere({ radius, offset: toVector3(offset) });
+        const collider = new VRMSpringBoneCollider(shape);
+        collider.name = 'SpringBoneCollider';
+        parent.add(collider);
+
+        // Each joint gets its own one-collider group so removal never touches the model's groups
+        const colliderGroup = { name: 'added', colliders: [collider] };
+        this.joints.forEach(record => {
+            if (matchesGroup(record, group)) record.joint.colliderGroups.push(colliderGroup);
+        });
+        this.colliders.push({ collider, colliderGroup });
+        return collider;
+    }
+
+    // Remove a collider - one from addCollider or one of the model's own
+    removeCollider(collider) {
+        const added = this.colliders.find(entry => entry.collider === collider);
+        this.joints.forEach(({ joint }) => {
+            if (added) {
+                joint.colliderGroups = joint.colliderGroups.filter(group => group !== added.colliderGroup);
+            }
+            joint.colliderGroups.forEach(group => {
+                const index = group.colliders.indexOf(collider);
+                if (index >= 0) group.colliders.splice(index, 1);
+            });
+        });
+
+        if (!added) return false;
+        this.colliders.splice(this.colliders.indexOf(added), 1);
+        collider.removeFromParent();
+        return true;
+    }
+
+    // Carry tuning and wind over from the controller of a previous model (colliders stay with their skeleton)
+    copySettingsFrom(controller) {
+        this.fixedTimestep = controller.fixedTimestep;
+        this.maxSubsteps = controller.maxSubsteps;
+        this.maxDeltaTime = controller.maxDeltaTime;
+        this.groupSettings = { ...controller.groupSettings };
+        this.applySettings();
+        this.setWind(controller.wind);
+    }
+
+    // Put every chain back at rest, hanging from the skeleton as it is posed now (matrices must be current)
+    reset() {
+        this.manager.reset();
+        this.accumulator = 0;
+    }
+
+    // Simulate deltaTime seconds - clamped, then in fixed substeps or one step
+    update(deltaTime) {
+        const delta = Math.min(deltaTime, this.maxDeltaTime);
+
+        if (!this.fixedTimestep) {
+            this.step(delta);
+            return;
+        }
+
+        this.accumulator += delta;
+        let substeps = 0;
+        while (this.accumulator >= this.fixedTimestep && substeps < this.maxSubsteps) {
+            this.step(this.fixedTimestep);
+            this.accumulator -= this.fixedTimestep;
+            substeps++;
+        }
+        if (substeps === this.maxSubsteps) {
+            this.accumulator = Math.min(this.accumulator, this.fixedTimestep);
+        }
+    }
+
+    step(delta) {
+        if (delta <= 0) return;
+
+        this.time += delta;
+        if (this.wind) {
+            const position = new THREE.Vector3();
+            const force = new THREE.Vector3();
+            this.joints.forEach(record => {
+                position.setFromMatrixPosition(record.joint.bone.matrixWorld);
+                force.copy(record.gravity).add(this.getWindAt(position, this.time));
+                setGravity(record.joint.settings, force);
+            });
+        }
+        this.manager.update(delta);
+    }
+
+    dispose() {
+        [...this.colliders].forEach(({ collider }) => this.removeCollider(collider));
+        this.wind = null;
+        this.groupSettings = {};
+        this.applySettings();
+    }
+}
+
+// Group name for a spring bone from its name
+function getJointGroup(boneName) {
+    const group = Object.keys(SPRING_BONE_GROUPS).find(name => SPRING_BONE_GROUPS[name].test(boneName || ''));
+    return group || 'other';
+}
+
+function matchesGroup(record, group) {
+    if (group === 'all') return true;
+    if (group instanceof RegExp) return group.test(record.joint.bone.name || '');
+    return record.group === group;
+}
+
+// Joint settings keep gravity as direction + power
+function setGravity(settings, gravity) {
+    const power = gravity.length();
+    settings.gravityPower = power;
+    if (power > 1e-6) {
+        settings.gravityDir.copy(gravity).divideScalar(power);
+    }
+}
+
+function toVector3(value) {
+    if (value.isVector3) return value.clone();
+    if (Array.isArray(value)) return new THREE.Vector3(value[0], value[1], value[2]);
+    return new THREE.Vector3(value.x, value.y, value.z);
+}
@@ -0,0 +1,536 @@
+// VRM Stage - Several VRMAvatars in one scene, one renderer and one render loop (multi-agent guidance)
+// Each avatar keeps its own model, pose, expressions and gaze; the stage owns the camera, lights, input and layout.
+//
+// Events (detail):
+//   ready          init finished                                  {}
+//   frame          after each rendered frame                      { deltaTime, elapsedTime }
+//   speakerchange  another agent (or nobody) is speaking          { avatar, name, previous }
+//   handoff        the conversation passes between agents         { from, to }
+
+import * as THREE from 'three';
+import { VRMAvatar } from './vrm-avatar.js';
+import { AssetCache } from './vrm-assets.js';
+import { InputTracker } from './vrm-input.js';
+import { LightingRig, configureKeyShadow, createShadowPlane } from './vrm-lighting.js';
+import { createLogger } from './vrm-logger.js';
+import { watchReducedMotion } from './vrm-accessibility.js';
+
+// sideBySide: everyone faces the user; facing: agents turn towards each other, still open to the user
+export const STAGE_LAYOUTS = ['sideBySide', 'facing'];
+
+const INDICATOR_HEIGHT = 0.12;     // Meters above the head top
+const INDICATOR_COLOR = 0x2f80ed;
+
+export class AvatarStage extends EventTarget {
+    // options.logLevel / options.logger: as for VRMAvatar; avatars added later share the sink
+    constructor({ logLevel = 'silent', logger = console } = {}) {
+        super();
+
+        this.logLevel = logLevel;
+        this.logSink = logger;
+        this.logger = createLogger({ level: logLevel, prefix: 'AvatarStage', sink: logger });
+
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.container = null;
+        this.lighting = null;
+        this.input = null;
+        this.clock = new THREE.Clock();
+
+        // One offline cache for every avatar (see VRMAvatar.configureAssets for the options)
+        this.assets = new AssetCache({ logger: this.logger });
+        this.assetOptions = {};
+
+        this.avatars = [];             // { avatar, name } in layout order, left to right
+        this.layout = 'sideBySide';
+        this.spacing = 0.8;            // Meters between neighbours
+        this.openness = 0.5;           // facing layout: 0 = agents face each other, 1 = they face the user
+        this.framing = 'upperBody';    // 'upperBody' or 'fullBody' - the camera fits every avatar
+
+        this.speaker = null;           // Entry set with setSpeaker(); null follows whoever's lip sync is active
+        this.activeSpeaker = null;     // Entry the indicator is over
+        this.indicator = null;
+        this.handoffId = 0;
+        this.audioContext = null;      // Shared by every agent's lip sync (see getAudioContext)
+
+        // Reduced motion applies to every avatar and the indicator (see setReducedMotion)
+        this.reducedMotion = false;
+        this.stopWatchingReducedMotion = null;
+        this.accessibleLabel = 'Guide characters';
+
+        this.viewportSize = null;
+        this.resizeObserver = null;
+        this.animationFrameId = null;
+        this.listeners = [];
+        this.paused = false;
+        this.disposed = false;
+    }
+
+    // Create the shared renderer in the container. options.layout / spacing / openness / framing: see setLayout,
+    // options.lighting: preset name, options.input: InputTracker options (null for no head tracking),
+    // options.assets: offline cache and decoder options as for VRMAvatar.configureAssets,
+    // options.reducedMotion: 'auto', true or false (see setReducedMotion), options.label: canvas name for screen readers.
+    init(containerId = 'vrm-container', { width = null, height = null, layout = 'sideBySide', spacing = 0.8, openness = 0.5, framing = 'upperBody', lighting = 'studio', input = {}, assets = null, reducedMotion = 'auto', label = null } = {}) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            this.logger.error('Stage container not found');
+            return false;
+        }
+        this.viewportSize = width && height ? { width, height } : null;
+        this.framing = framing;
+        if (assets) {
+            const { cache = true, ...decoders } = assets;
+            this.assets = new AssetCache({ enabled: cache, logger: this.logger });
+            this.assetOptions = decoders;
+        }
+        this.setLayout(layout, { spacing, openness });
+        this.setReducedMotion(reducedMotion);
+
+        const size = this.getViewportSize();
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(35, size.width / size.height, 0.1, 100);
+        this.camera.position.set(0, 1.3, 3.5);
+        this.camera.lookAt(0, 1.2, 0);
+
+        this.renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true, powerPreference: 'high-performance' });
+        this.renderer.setSize(size.width, size.height);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setClearColor(0x000000, 0);
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        this.container.appendChild(this.renderer.domElement);
+        this.setAccessibleLabel(label || this.accessibleLabel);
+
+        this.setupLighting(lighting);
+        this.indicator = createSpeakerIndicator();
+        this.scene.add(this.indicator);
+
+        // One pointer / tilt source for everyone - each avatar turns its own head towards it
+        if (input) {
+            this.input = new InputTracker({ element: this.renderer.domElement, ...input });
+            this.addListener(this.input, 'input', (event) => this.avatars.forEach(({ avatar }) => avatar.setGazeInput(event.detail.x, event.detail.y)));
+            this.addListener(this.input, 'idle', () => this.avatars.forEach(({ avatar }) => avatar.setGazeInput(null)));
+            this.input.start();
+        }
+
+        this.addListener(window, 'resize', () => this.onWindowResize());
+        this.addListener(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.stopLoop();
+            } else if (!this.paused) {
+                this.avatars.forEach(({ avatar }) => avatar.resetPhysics());
+                this.startLoop();
+            }
+        });
+        if (!this.viewportSize && typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.onWindowResize());
+            this.resizeObserver.observe(this.container);
+        }
+
+        this.startLoop();
+        this.dispatchEvent(new CustomEvent('ready', { detail: {} }));
+        return true;
+    }
+
+    // Same five-light rig as a single avatar, anchored at the middle of the floor
+    setupLighting(preset) {
+        this.lighting = new LightingRig(this.scene, this.renderer, { preset });
+
+        configureKeyShadow(this.lighting.key, { extent: 3 });
+        this.scene.add(createShadowPlane({ size: 8 }));
+    }
+
+    // Lighting preset for the whole stage (see LIGHTING_PRESETS); options.instant skips the blend
+    setLightingPreset(name, options = {}) {
+        try {
+            this.lighting.setPreset(name, options);
+            return true;
+        } catch (error) {
+            this.logger.error(error.message);
+            return false;
+        }
+    }
+
+    // Add an agent and load its model. options.name identifies it (default: 'agent1', 'agent2', ...),
+    // options.model: URL / ArrayBuffer / File, options.pose: .vroidpose path, options.index: layout slot.
+    // Resolves with the VRMAvatar once its model is shown (check avatar.vrm - a failed load leaves it null).
+    async addAvatar({ name = null, model = './Mahotsukai-jk.vrm', pose = './pose.vroidpose', index = this.avatars.length } = {}) {
+        const avatarName = name || `agent${this.avatars.length + 1}`;
+        if (this.getEntry(avatarName)) {
+            throw new Error(`Stage already has an avatar named "${avatarName}"`);
+        }
+
+        const avatar = new VRMAvatar({ logLevel: this.logLevel, logger: this.logSink });
+        const entry = { avatar, name: avatarName };
+        avatar.attachToStage(this, { posePath: pose });
+        this.avatars.splice(index, 0, entry);
+        this.updateAccessibleLabel();
+
+        await avatar.setModel(model);
+        if (this.disposed || !this.avatars.includes(entry)) return avatar;
+
+        this.applyLayout();
+        return avatar;
+    }
+
+    // Download every agent's model and poses into the offline cache ahead of use (see VRMAvatar.preload)
+    preload(urls, options = {}) {
+        return this.assets.preload(urls, options);
+    }
+
+    // One AudioContext for every agent - a media element can only feed a single context, and the speaker
+    // may change mid-utterance (e.g. a shared TTS element during a handoff). Created on first speech.
+    getAudioContext() {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = new AudioContextClass();
+        }
+        return this.audioContext;
+    }
+
+    // Take an agent off the stage and free its model
+    removeAvatar(avatarOrName) {
+        const entry = this.getEntry(avatarOrName);
+        if (!entry) return false;
+
+        this.avatars.splice(this.avatars.indexOf(entry), 1);
+        if (this.speaker === entry) this.speaker = null;
+        entry.avatar.dispose();
+        this.applyLayout();
+        this.updateAccessibleLabel();
+        return true;
+    }
+
+    getAvatar(name) {
+        const entry = this.getEntry(name);
+        return entry ? entry.avatar : null;
+    }
+
+    // Entry by VRMAvatar or name
+    getEntry(avatarOrName) {
+        return this.avatars.find(entry => entry.avatar === avatarOrName || entry.name === avatarOrName) || null;
+    }
+
+    // 'sideBySide' or 'facing'; options.spacing (meters), options.openness (facing only, 0..1)
+    setLayout(layout, { spacing = this.spacing, openness = this.openness } = {}) {
+        if (!STAGE_LAYOUTS.includes(layout)) {
+            this.logger.error(`Unknown stage layout: ${layout} (available: ${STAGE_LAYOUTS.join(', ')})`);
+            return false;
+        }
+
+        this.layout = layout;
+        this.spacing = spacing;
+        this.openness = THREE.MathUtils.clamp(openness, 0, 1);
+        this.applyLayout();
+        return true;
+    }
+
+    // Where an avatar stands: { position, heading } on the floor (y = 0, heading 0 faces the user at +Z).
+    // In the facing layout the agents left of centre turn right and vice versa, the middle one looks ahead.
+    getPlacement(avatar) {
+        const count = this.avatars.length;
+        const index = Math.max(0, this.avatars.findIndex(entry => entry.avatar === avatar));
+        const x = (index - (count - 1) / 2) * this.spacing;
+
+        let heading = 0;
+        if (this.layout === 'facing' && Math.abs(x) > 1e-6) {
+            heading = -Math.sign(x) * (Math.PI / 2) * (1 - this.openness);
+        }
+        return { position: new THREE.Vector3(x, 0, 0), heading };
+    }
+
+    // Move every loaded avatar to its slot and refit the camera
+    applyLayout() {
+        this.avatars.forEach(({ avatar }) => {
+            if (!avatar.vrm || !avatar.vrm.humanoid) return;
+
+            const { position, heading } = this.getPlacement(avatar);
+            avatar.vrm.scene.position.copy(position);
+            avatar.vrm.scene.rotation.y = heading + avatar.getFacingYawOffset();
+            avatar.resetPhysics();
+        });
+        this.frameCamera();
+    }
+
+    // Fit the camera to all avatars ('upperBody': head to hips, 'fullBody': head to feet), viewed from the front
+    frameCamera() {
+        if (!this.camera) return false;
+
+        const box = new THREE.Box3();
+        this.avatars.forEach(({ avatar }) => {
+            if (!avatar.vrm || !avatar.vrm.humanoid) return;
+
+            avatar.vrm.scene.updateMatrixWorld(true);
+            const hips = avatar.vrm.humanoid.getNormalizedBoneNode('hips');
+            box.expandByPoint(avatar.getHeadTopPosition());
+            if (this.framing === 'fullBody' || !hips) {
+                box.expandByPoint(avatar.vrm.scene.getWorldPosition(new THREE.Vector3()));
+            } else {
+                box.expandByPoint(hips.getWorldPosition(new THREE.Vector3()));
+            }
+
+            // Shoulder width either side so the outer avatars aren't cut in half
+            const center = avatar.vrm.scene.position;
+            box.expandByPoint(new THREE.Vector3(center.x - 0.3, center.y, center.z));
+            box.expandByPoint(new THREE.Vector3(center.x + 0.3, center.y, center.z));
+        });
+        if (box.isEmpty()) return false;
+
+        const padding = this.framing === 'fullBody' ? 1.1 : 1.15;
+        const extent = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        const distance = Math.max(
+            extent.y / 2 * padding / tanHalfFov,
+            extent.x / 2 * padding / (tanHalfFov * this.camera.aspect)
+        ) + extent.z / 2;
+
+        this.camera.position.set(center.x, center.y, center.z + distance);
+        this.camera.lookAt(center);
+        return true;
+    }
+
+    // Mark who is speaking - a VRMAvatar or name. null goes back to following lip sync.
+    setSpeaker(avatarOrName) {
+        this.speaker = avatarOrName === null ? null : this.getEntry(avatarOrName);
+        if (avatarOrName !== null && !this.speaker) {
+            this.logger.warn(`No avatar on stage: ${avatarOrName}`);
+        }
+        this.updateSpeaker();
+    }
+
+    // Avatar currently shown as speaking, or null
+    getSpeaker() {
+        return this.activeSpeaker ? this.activeSpeaker.avatar : null;
+    }
+
+    // The set speaker, else the first agent whose mouth is moving
+    updateSpeaker() {
+        const speaking = this.speaker
+            || this.avatars.find(({ avatar }) => avatar.lipSync && avatar.lipSync.isActive())
+            || null;
+        if (speaking === this.activeSpeaker) return;
+
+        const previous = this.activeSpeaker;
+        this.activeSpeaker = speaking;
+        this.dispatchEvent(new CustomEvent('speakerchange', {
+            detail: {
+                avatar: speaking ? speaking.avatar : null,
+                name: speaking ? speaking.name : null,
+                previous: previous ? previous.avatar : null
+            }
+        }));
+    }
+
+    // Marker bobbing over the speaker's head
+    updateIndicator(elapsedTime) {
+        const avatar = this.activeSpeaker && this.activeSpeaker.avatar;
+        const visible = !!(avatar && avatar.vrm && avatar.vrm.humanoid);
+        this.indicator.visible = visible;
+        if (!visible) return;
+
+        // Held still in reduced-motion mode
+        const time = this.reducedMotion ? 0 : elapsedTime;
+        this.indicator.position.copy(avatar.getHeadTopPosition());
+        this.indicator.position.y += INDICATOR_HEIGHT + Math.sin(time * 3) * 0.015;
+        this.indicator.rotation.y = time;
+    }
+
+    // Reduced motion for every agent (see VRMAvatar.setReducedMotion) - the speaker indicator stops bobbing too.
+    // true / false, or 'auto' to follow prefers-reduced-motion.
+    setReducedMotion(enabled = 'auto') {
+        if (this.stopWatchingReducedMotion) {
+            this.stopWatchingReducedMotion();
+            this.stopWatchingReducedMotion = null;
+        }
+
+        const apply = (reduced) => {
+            this.reducedMotion = reduced;
+            this.avatars.forEach(({ avatar }) => avatar.setReducedMotion(reduced));
+        };
+        if (enabled === 'auto') {
+            this.stopWatchingReducedMotion = watchReducedMotion(apply);
+        } else {
+            apply(!!enabled);
+        }
+    }
+
+    // Accessible name of the shared canvas; the agents' names are appended as they join and leave
+    setAccessibleLabel(label) {
+        this.accessibleLabel = label;
+        this.updateAccessibleLabel();
+    }
+
+    updateAccessibleLabel() {
+        const canvas = this.renderer && this.renderer.domElement;
+        if (!canvas) return;
+
+        const names = this.avatars.map(({ name }) => name);
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', names.length > 0 ? `${this.accessibleLabel}: ${names.join(', ')}` : this.accessibleLabel);
+    }
+
+    // Pass the conversation from one agent to another: they look at each other for options.duration seconds,
+    // the speaker indicator moves over and both return to their own gaze. Resolves true when the glance ends,
+    // false if either isn't on stage or another handoff starts first.
+    async handoff(from, to, { duration = 1.5 } = {}) {
+        const fromEntry = this.getEntry(from);
+        const toEntry = this.getEntry(to);
+        if (!fromEntry || !toEntry || !fromEntry.avatar.vrm || !toEntry.avatar.vrm) {
+            this.logger.error('Cannot hand off: both avatars need to be on stage and loaded');
+            return false;
+        }
+
+        const handoffId = ++this.handoffId;
+        this.dispatchEvent(new CustomEvent('handoff', { detail: { from: fromEntry.avatar, to: toEntry.avatar } }));
+        this.setSpeaker(toEntry.avatar);
+
+        const results = await Promise.all([
+            fromEntry.avatar.lookAt(getHeadNode(toEntry.avatar), { duration }),
+            toEntry.avatar.lookAt(getHeadNode(fromEntry.avatar), { duration })
+        ]);
+        return handoffId === this.handoffId && results.every(Boolean);
+    }
+
+    // Viewport size - fixed from init options, else the container's, else the window's
+    getViewportSize() {
+        if (this.viewportSize) return this.viewportSize;
+
+        const width = this.container ? this.container.clientWidth : 0;
+        const height = this.container ? this.container.clientHeight : 0;
+        return width > 0 && height > 0
+            ? { width, height }
+            : { width: window.innerWidth, height: window.innerHeight };
+    }
+
+    onWindowResize() {
+        const { width, height } = this.getViewportSize();
+        const size = this.renderer.getSize(new THREE.Vector2());
+        if (size.x === width && size.y === height) return;
+
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+        this.frameCamera();
+    }
+
+    // Add an event listener that dispose() removes again
+    addListener(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    startLoop() {
+        if (this.animationFrameId !== null || this.disposed) return;
+
+        this.clock.getDelta();
+        this.animate();
+    }
+
+    stopLoop() {
+        if (this.animationFrameId === null) return;
+
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+    }
+
+    pause() {
+        this.paused = true;
+        this.stopLoop();
+    }
+
+    resume() {
+        this.paused = false;
+        if (!document.hidden) {
+            this.startLoop();
+        }
+    }
+
+    animate() {
+        this.animationFrameId = requestAnimationFrame(() => this.animate());
+        this.updateFrame(this.clock.getDelta(), this.clock.getElapsedTime());
+    }
+
+    // Advance every avatar, then render them all in one pass
+    updateFrame(deltaTime, elapsedTime) {
+        this.avatars.forEach(({ avatar }) => avatar.update(deltaTime, elapsedTime));
+        this.lighting.update(deltaTime);
+        this.updateSpeaker();
+        this.updateIndicator(elapsedTime);
+
+        this.renderer.render(this.scene, this.camera);
+        this.avatars.forEach(({ avatar }) => avatar.dispatchAvatarEvent('frame', { deltaTime, elapsedTime }));
+        this.dispatchEvent(new CustomEvent('frame', { detail: { deltaTime, elapsedTime } }));
+    }
+
+    // Dispose every avatar, then the shared scene and renderer
+    dispose() {
+        this.disposed = true;
+        this.stopLoop();
+        this.handoffId++;
+
+        this.listeners.forEach(({ target, type, handler, options }) => target.removeEventListener(type, handler, options));
+        this.listeners = [];
+        if (this.stopWatchingReducedMotion) {
+            this.stopWatchingReducedMotion();
+            this.stopWatchingReducedMotion = null;
+        }
+        if (this.input) {
+            this.input.stop();
+            this.input = null;
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+
+        this.avatars.forEach(({ avatar }) => avatar.dispose());
+        this.avatars = [];
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        this.speaker = null;
+        this.activeSpeaker = null;
+
+        if (this.lighting) {
+            this.lighting.dispose();
+            this.lighting = null;
+        }
+        if (this.scene) {
+            this.scene.traverse((child) => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+            this.scene.clear();
+        }
+        if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer.domElement.remove();
+        }
+
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.indicator = null;
+    }
+}
+
+// Downward-pointing marker shown over the speaking agent
+function createSpeakerIndicator() {
+    const indicator = new THREE.Mesh(
+        new THREE.ConeGeometry(0.04, 0.08, 4).rotateX(Math.PI),
+        new THREE.MeshBasicMaterial({ color: INDICATOR_COLOR })
+    );
+    indicator.name = 'SpeakerIndicator';
+    indicator.visible = false;
+    return indicator;
+}
+
+// What another agent looks at during a handoff - the head, else the whole model
+function getHeadNode(avatar) {
+    return (avatar.vrm.humanoid && avatar.vrm.humanoid.getNormalizedBoneNode('head')) || avatar.vrm.scene;
+}
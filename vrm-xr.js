@@ -0,0 +1,114 @@
+// VRM XR - WebXR immersive-ar helpers: support check, floor hit-testing, anchors and the placement reticle
+// The xr object is passed in (navigator.xr by default) so a mock XR device or the WebXR emulator can stand in
+
+import * as THREE from 'three';
+
+// True when the browser (or the given XRSystem) can start an immersive-ar session
+export async function isARSupported(xr = globalThis.navigator && navigator.xr) {
+    if (!xr || typeof xr.isSessionSupported !== 'function') return false;
+
+    try {
+        return await xr.isSessionSupported('immersive-ar');
+    } catch (error) {
+        return false;
+    }
+}
+
+// Ring lying on the detected floor where a tap would place the avatar
+export function createReticle({ color = 0xffffff, radius = 0.15 } = {}) {
+    const reticle = new THREE.Mesh(
+        new THREE.RingGeometry(radius * 0.75, radius, 32).rotateX(-Math.PI / 2),
+        new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.85 })
+    );
+    reticle.name = 'ARReticle';
+    reticle.matrixAutoUpdate = false;
+    reticle.visible = false;
+    return reticle;
+}
+
+// Hit-tests the floor in front of the viewer and keeps an anchor where the avatar was placed.
+// Poses come back as matrices in the session's reference space.
+export class ARFloorTracker {
+    constructor(session, referenceSpace) {
+        this.session = session;
+        this.referenceSpace = referenceSpace;
+        this.hitTestSource = null;
+        this.lastHit = null;           // Latest XRHitTestResult, null when no floor is seen
+        this.hitMatrix = new THREE.Matrix4();
+        this.anchor = null;
+        this.anchorMatrix = new THREE.Matrix4();
+        this.anchorRequestId = 0;
+    }
+
+    async init() {
+        const viewerSpace = await this.session.requestReferenceSpace('viewer');
+        this.hitTestSource = await this.session.requestHitTestSource({ space: viewerSpace });
+    }
+
+    // Read this frame's hit-test results; returns true while a floor point is in view
+    update(frame) {
+        this.lastHit = null;
+        if (!this.hitTestSource) return false;
+
+        const results = frame.getHitTestResults(this.hitTestSource);
+        for (const result of results) {
+            const pose = result.getPose(this.referenceSpace);
+            if (!pose) continue;
+
+            // Only upward-facing surfaces - walls and ceilings can't hold the avatar
+            this.hitMatrix.fromArray(pose.transform.matrix);
+            const up = new THREE.Vector3().setFromMatrixColumn(this.hitMatrix, 1);
+            if (up.y < 0.9) continue;
+
+            this.lastHit = result;
+            return true;
+        }
+        return false;
+    }
+
+    // Anchor the current hit so the placement sticks to the real floor as tracking improves.
+    // Resolves true once anchored; false without the anchors feature (the placement then stays put).
+    async anchorCurrentHit() {
+        const hit = this.lastHit;
+        this.releaseAnchor();
+        if (!hit || typeof hit.createAnchor !== 'function') return false;
+
+        const requestId = ++this.anchorRequestId;
+        try {
+            const anchor = await hit.createAnchor();
+            if (requestId !== this.anchorRequestId) {
+                anchor.delete();
+                return false;
+            }
+            this.anchor = anchor;
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Anchor pose this frame, null while it isn't tracked
+    getAnchorMatrix(frame) {
+        if (!this.anchor || !frame.trackedAnchors || !frame.trackedAnchors.has(this.anchor)) return null;
+
+        const pose = frame.getPose(this.anchor.anchorSpace, this.referenceSpace);
+        return pose ? this.anchorMatrix.fromArray(pose.transform.matrix) : null;
+    }
+
+    releaseAnchor() {
+        this.anchorRequestId++;
+        if (this.anchor) {
+            this.anchor.delete();
+            this.anchor = null;
+        }
+    }
+
+    dispose() {
+        this.releaseAnchor();
+        if (this.hitTestSource) {
+            this.hitTestSource.cancel();
+            this.hitTestSource = null;
+        }
+        this.lastHit = null;
+    }
+}